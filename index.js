@@ -6,4 +6,5 @@ module.exports = {
     App: require('./src/app/base'),
     Console: require('./src/app/console'),
     Server: require('./src/app/server'),
+    Scope: require('./src/app/scope'),
 };
\ No newline at end of file
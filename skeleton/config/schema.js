@@ -0,0 +1,107 @@
+/**
+ * Application configuration schema
+ */
+module.exports = {
+    type: 'object',
+    properties: {
+        project: { type: 'string', required: true },
+        instance: { type: 'string', required: true },
+        env: { type: [ 'string', 'null' ] },
+        autoload: {
+            type: 'array',
+            default: [],
+            items: {
+                type: [ 'string', 'object' ],
+                properties: {
+                    path: { type: 'string', required: true },
+                    provides: { type: [ 'string', 'array' ], items: { type: 'string' } },
+                },
+            },
+        },
+        modules: { type: 'array', items: { type: 'string' }, default: [] },
+        class_map_dir: { type: 'string' },
+        log_levels_path: { type: 'string' },
+
+        servers: {
+            type: 'object',
+            default: {},
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: true,
+                properties: {
+                    class: { type: 'string', required: true },
+                },
+            },
+        },
+
+        smtp: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    host: { type: 'string', required: true },
+                    port: { type: 'integer', default: 25 },
+                    ssl: { type: 'boolean', default: false },
+                    user: { type: 'string' },
+                    password: { type: 'string' },
+                },
+            },
+        },
+
+        email: {
+            type: 'object',
+            properties: {
+                from: { type: 'string', required: true },
+                log: {
+                    type: 'object',
+                    properties: {
+                        enable: { type: 'boolean', default: false },
+                        level: { type: 'string', enum: [ 'debug', 'info', 'warn', 'error' ], default: 'error' },
+                        to: { type: 'string' },
+                        digest: { type: 'integer', default: 0 },
+                        max_per_hour: { type: 'integer', default: 0 },
+                    },
+                },
+                crash: {
+                    type: 'object',
+                    properties: {
+                        enable: { type: 'boolean', default: false },
+                        to: { type: 'string' },
+                    },
+                },
+            },
+        },
+
+        logs: {
+            type: 'object',
+            default: {},
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: true,
+                properties: {
+                    level: { type: 'string', enum: [ 'debug', 'info', 'warn', 'error' ], default: 'info' },
+                    default: { type: 'boolean', default: false },
+                    format: { type: 'string', enum: [ 'text', 'json' ], default: 'text' },
+                    type: { type: 'string', default: 'file' },
+                    issuers: {
+                        type: 'object',
+                        additionalProperties: { type: 'string', enum: [ 'debug', 'info', 'warn', 'error' ] },
+                    },
+                    name: { type: 'string' },
+                    path: { type: 'string' },
+                    host: { type: 'string' },
+                    port: { type: 'integer' },
+                    socket: { type: 'string' },
+                },
+            },
+        },
+
+        user: {
+            type: 'object',
+            properties: {
+                uid: { type: 'integer', required: true },
+                gid: { type: 'integer' },
+            },
+        },
+    },
+};
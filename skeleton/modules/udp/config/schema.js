@@ -0,0 +1,19 @@
+/**
+ * Module configuration schema
+ */
+module.exports = {
+    type: 'object',
+    properties: {
+        autoload: {
+            type: 'array',
+            default: [],
+            items: {
+                type: [ 'string', 'object' ],
+                properties: {
+                    path: { type: 'string', required: true },
+                    provides: { type: [ 'string', 'array' ], items: { type: 'string' } },
+                },
+            },
+        },
+    },
+};
@@ -23,6 +23,14 @@ class BaseEvent {
         return ['app'];
     }
 
+    /**
+     * Events are collected by the module using this tag
+     * @type {string[]}
+     */
+    static get tags() {
+        return ['udp.event'];
+    }
+
     /**
      * Retrieve server
      * @return {Udp}
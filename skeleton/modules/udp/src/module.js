@@ -34,13 +34,14 @@ class Udp {
     /**
      * Register with the server
      * @param {object} server                                       Server instance
+     * @param {string} name                                         Config section name of the server
      * @return {Promise}
      */
-    async register(server) {
+    async register(server, name) {
         if (server.constructor.provides !== 'servers.udp')
             return;
 
-        this.events = this._app.get(/^udp\.events\..+$/);
+        this.events = this._app.getTagged('udp.event');
         for (let event of this.events.values())
             server.on(event.name, event.handle.bind(event));
     }
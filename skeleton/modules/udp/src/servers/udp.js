@@ -15,8 +15,9 @@ class Udp extends EventEmitter {
      * @param {App} app                             Application
      * @param {object} config                       Configuration
      * @param {Logger} logger                       Logger service
+     * @param {Context} context                     Async context service
      */
-    constructor(app, config, logger) {
+    constructor(app, config, logger, context) {
         super();
 
         this.server = null;
@@ -25,6 +26,7 @@ class Udp extends EventEmitter {
         this._app = app;
         this._config = config;
         this._logger = logger;
+        this._context = context;
         this._listening = false;
     }
 
@@ -41,7 +43,7 @@ class Udp extends EventEmitter {
      * @type {string[]}
      */
     static get requires() {
-        return [ 'app', 'config', 'logger' ];
+        return [ 'app', 'config', 'logger', 'context' ];
     }
 
     /**
@@ -56,7 +58,10 @@ class Udp extends EventEmitter {
             this.server = dgram.createSocket('udp4');
             this.server.on('error', this.onError.bind(this));
             this.server.on('listening', this.onListening.bind(this));
-            this.server.on('message', this.onMessage.bind(this));
+            this.server.on(
+                'message',
+                this._context.wrap(this.onMessage.bind(this), (data, info) => ({ client: `${info.address}:${info.port}` }))
+            );
         } catch (error) {
             return this._app.exit(
                 this._app.constructor.fatalExitCode,
@@ -75,21 +80,6 @@ class Udp extends EventEmitter {
             throw new Error(`Server ${name} was not properly initialized`);
 
         try {
-            await Array.from(this._app.get('modules')).reduce(
-                async (prev, [curName, curModule]) => {
-                    await prev;
-
-                    if (!curModule.register)
-                        return;
-
-                    let result = curModule.register(name);
-                    if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
-                        throw new Error(`Module '${curName}' register() did not return a Promise`);
-                    return result;
-                },
-                Promise.resolve()
-            );
-
             this._logger.debug('udp', 'Starting the server');
             await new Promise((resolve, reject) => {
                 try {
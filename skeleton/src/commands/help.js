@@ -70,7 +70,9 @@ class Help extends Base {
             'Usage:\tcmd <command> [<parameters]\n\n' +
             'Commands:\n' +
             '\thelp\t\tPrint help about any other command\n' +
-            '\tcreate-cert\tCreate self-signed SSL certificate\n'
+            '\tcreate-cert\tCreate self-signed SSL certificate\n' +
+            '\tservices\tPrint registered services and their dependencies\n' +
+            '\tlog-level\tChange log levels of the running daemon\n'
 
         );
         process.exit(0);
@@ -100,6 +102,35 @@ class Help extends Base {
         );
         process.exit(0);
     }
+
+    /**
+     * Services command
+     * @return {Promise}
+     */
+    async helpServices(argv) {
+        await this._app.info(
+            'Usage:\tcmd services [--format=<format>]\n\n' +
+            '\tPrint registered services and their dependencies. Services depending on\n' +
+            '\tnot registered services are reported and the command fails.\n\n' +
+            '\t<format> is one of: tree (default), json or dot (Graphviz)\n'
+        );
+        process.exit(0);
+    }
+
+    /**
+     * Log level command
+     * @return {Promise}
+     */
+    async helpLogLevel(argv) {
+        await this._app.info(
+            'Usage:\tcmd log-level <pidfile> <level> [--stream=<name>] [--issuer=<name>]\n\n' +
+            '\tSet log level of the daemon with the given pid file without restarting it.\n' +
+            '\t<level> is one of: debug, info, warn, error or reset to remove the rule.\n' +
+            '\tThe rule applies to all the log streams and issuers unless restricted by\n' +
+            '\tthe options.\n'
+        );
+        process.exit(0);
+    }
 }
 
 module.exports = Help;
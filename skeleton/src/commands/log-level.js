@@ -0,0 +1,92 @@
+/**
+ * LogLevel command
+ * @module commands/log-level
+ */
+const fs = require('fs');
+const argvParser = require('argv');
+const Base = require('./base');
+
+/**
+ * Command to change log levels of the running daemon
+ */
+class LogLevel extends Base {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {Logger} logger           Logger service
+     * @param {Help} help               Help command
+     */
+    constructor(app, logger, help) {
+        super(app);
+        this._logger = logger;
+        this._help = help;
+    }
+
+    /**
+     * Service name is 'commands.logLevel'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.logLevel';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'logger', 'commands.help' ];
+    }
+
+    /**
+     * Run the command
+     * @param {string[]} argv           Arguments
+     * @return {Promise}
+     */
+    async run(argv) {
+        let args = argvParser
+            .option({
+                name: 'help',
+                short: 'h',
+                type: 'boolean',
+            })
+            .option({
+                name: 'stream',
+                short: 's',
+                type: 'string',
+            })
+            .option({
+                name: 'issuer',
+                short: 'i',
+                type: 'string',
+            })
+            .run(argv);
+
+        if (args.options.help || args.targets.length < 3)
+            return this._help.helpLogLevel(argv);
+
+        let pidFile = args.targets[1];
+        let level = args.targets[2];
+
+        try {
+            await this._logger.loadLevels();
+            this._logger.setLevel(level === 'reset' ? null : level, {
+                stream: args.options.stream,
+                issuer: args.options.issuer,
+            });
+            await this._logger.saveLevels();
+
+            let pid = parseInt(fs.readFileSync(pidFile, 'utf8').trim());
+            if (isNaN(pid)) {
+                await this._app.error('PID file does not contain a pid');
+                return 1;
+            }
+            process.kill(pid, 'SIGUSR2');
+            return 0;
+        } catch (error) {
+            await this.error(error);
+        }
+    }
+}
+
+module.exports = LogLevel;
@@ -0,0 +1,151 @@
+/**
+ * Services command
+ * @module commands/services
+ */
+const argvParser = require('argv');
+const Base = require('./base');
+
+/**
+ * Command to print the services and their dependencies
+ */
+class Services extends Base {
+    /**
+     * Create the service
+     * @param {App} app                 The application
+     * @param {Help} help               Help command
+     */
+    constructor(app, help) {
+        super(app);
+        this._help = help;
+    }
+
+    /**
+     * Service name is 'commands.services'
+     * @type {string}
+     */
+    static get provides() {
+        return 'commands.services';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'app', 'commands.help' ];
+    }
+
+    /**
+     * Run the command
+     * @param {string[]} argv           Arguments
+     * @return {Promise}
+     */
+    async run(argv) {
+        let args = argvParser
+            .option({
+                name: 'help',
+                short: 'h',
+                type: 'boolean',
+            })
+            .option({
+                name: 'format',
+                short: 'f',
+                type: 'string',
+            })
+            .run(argv);
+
+        if (args.options.help)
+            return this._help.helpServices(argv);
+
+        try {
+            let graph = this._app.getGraph();
+
+            let output;
+            switch (args.options.format || 'tree') {
+                case 'tree':
+                    output = this.formatTree(graph);
+                    break;
+                case 'json':
+                    output = JSON.stringify(graph, undefined, 4);
+                    break;
+                case 'dot':
+                    output = this.formatDot(graph);
+                    break;
+                default:
+                    await this._app.error('Unknown format');
+                    return 1;
+            }
+            await this._app.info(output);
+
+            let missing = graph.filter(service => service.missing.length);
+            for (let service of missing)
+                await this._app.error(`Service ${service.provides} requires missing ${service.missing.join(', ')}`);
+
+            return missing.length ? 1 : 0;
+        } catch (error) {
+            await this.error(error);
+        }
+    }
+
+    /**
+     * Format services as a tree
+     * @param {object[]} graph          Services as returned by app.getGraph()
+     * @return {string}
+     */
+    formatTree(graph) {
+        let lines = [];
+        for (let service of graph) {
+            let line = `${service.provides} [${service.lifecycle}]`;
+            if (service.aliases.length)
+                line += ` aliases: ${service.aliases.join(', ')}`;
+            if (service.tags.length)
+                line += ` tags: ${service.tags.join(', ')}`;
+            if (service.module)
+                line += ` (module: ${service.module})`;
+            lines.push(line);
+
+            service.requires.forEach((item, index) => {
+                let dependency = service.dependencies[index];
+                let prefix = (index === service.requires.length - 1) ? '└── ' : '├── ';
+                let suffix = '';
+                if (dependency.optional)
+                    suffix = ' (optional)';
+                else if (dependency.missing)
+                    suffix = ' (MISSING)';
+                lines.push(prefix + item + suffix);
+            });
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Format services as Graphviz DOT graph
+     * @param {object[]} graph          Services as returned by app.getGraph()
+     * @return {string}
+     */
+    formatDot(graph) {
+        let lines = [ 'digraph services {' ];
+        for (let service of graph) {
+            let label = `${service.provides}\\n${service.lifecycle}`;
+            if (service.module)
+                label += `\\n(${service.module})`;
+            lines.push(`    "${service.provides}" [label="${label}"];`);
+
+            for (let dependency of service.dependencies) {
+                if (dependency.optional)
+                    lines.push(`    "${service.provides}" -> "${dependency.name}" [style=dashed];`);
+                else if (dependency.lazy || dependency.factory)
+                    lines.push(`    "${service.provides}" -> "${dependency.name}" [style=dotted];`);
+                else
+                    lines.push(`    "${service.provides}" -> "${dependency.name}";`);
+            }
+
+            for (let dependency of service.dependencies.filter(item => item.missing))
+                lines.push(`    "${dependency.name}" [color=red, fontcolor=red];`);
+        }
+        lines.push('}');
+        return lines.join('\n');
+    }
+}
+
+module.exports = Services;
@@ -0,0 +1,223 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const App = require('../../src/app/base');
+const Server = require('../../src/app/server');
+const { createTmpDir, writeFiles, initApp } = require('../helpers/tmp');
+
+describe('Configuration', () => {
+    it('is overridden by environment', done => {
+        let basePath = createTmpDir({
+            'secret': 'password\n',
+            'config/global.js': 'module.exports = ' + JSON.stringify({
+                instance: 'dev',
+                postgres: {
+                    main: {
+                        port: 5432,
+                        ssl: false,
+                    },
+                },
+                modules: [ 'udp' ],
+            }) + ';',
+        });
+        let variables = {
+            ARPEN_INSTANCE: 'prod',
+            ARPEN_POSTGRES__MAIN__PORT: '6432',
+            ARPEN_POSTGRES__MAIN__SSL: 'yes',
+            ARPEN_POSTGRES__MAIN__PASSWORD_FILE: path.join(basePath, 'secret'),
+            ARPEN_MODULES__UDP__PORT: '1234',
+            ARPEN_MODULES: '["udp","web"]',
+            OTHER_VAR: 'value',
+        };
+
+        expect(App.loadConfig(basePath, { variables: variables })).toEqual({
+            instance: 'prod',
+            postgres: {
+                main: {
+                    port: 6432,
+                    ssl: true,
+                    password: 'password',
+                },
+            },
+            modules: [ 'udp', 'web' ],
+        });
+
+        writeFiles(basePath, { 'config/global.js': 'module.exports = {};' });
+        expect(App.loadConfig(basePath, { module: 'udp', variables: variables })).toEqual({ port: '1234' });
+
+        writeFiles(basePath, { 'config/global.js': 'module.exports = { port: 1 };' });
+        expect(() => {
+            App.loadConfig(basePath, { variables: { ARPEN_PORT: 'abc' } });
+        }).toThrow();
+
+        done();
+    });
+
+    it('converts environment by schema types', async () => {
+        let basePath = createTmpDir({
+            'config/global.js': 'module.exports = {};',
+            'config/schema.js': 'module.exports = ' + JSON.stringify({
+                type: 'object',
+                properties: {
+                    pg: {
+                        type: 'object',
+                        default: {},
+                        properties: {
+                            port: { type: 'integer', default: 5432 },
+                            ssl: { type: 'boolean', default: false },
+                            host: { type: [ 'string', 'null' ] },
+                        },
+                    },
+                },
+            }) + ';',
+        });
+        process.env.ARPEN_PG__PORT = '6432';
+        process.env.ARPEN_PG__SSL = 'on';
+        process.env.ARPEN_PG__HOST = '1234';
+
+        let app;
+        try {
+            app = await initApp(basePath);
+        } finally {
+            delete process.env.ARPEN_PG__PORT;
+            delete process.env.ARPEN_PG__SSL;
+            delete process.env.ARPEN_PG__HOST;
+        }
+        expect(app.get('config').pg).toEqual({ port: 6432, ssl: true, host: '1234' });
+    });
+
+    it('loads environment profile', done => {
+        let basePath = createTmpDir({
+            'config/global.js': 'module.exports = { a: 1, b: 1, c: 1 };',
+            'config/staging.js': 'module.exports = { b: 2, c: 2 };',
+            'config/local.js': 'module.exports = { c: 3 };',
+        });
+
+        let app = new App(basePath, [ 'first', '--env', 'staging', 'second' ]);
+        expect(app.env).toBe('staging');
+        expect(app.argv).toEqual([ 'first', 'second' ]);
+        expect(App.loadConfig(basePath, { env: app.env, variables: {} })).toEqual({ a: 1, b: 2, c: 3 });
+        expect(App.loadConfig(basePath, { variables: {} })).toEqual({ a: 1, b: 1, c: 3 });
+        expect(() => { App.loadConfig(basePath, { env: '../local' }); }).toThrow();
+
+        done();
+    });
+
+    it('checks module packages', async () => {
+        let basePath = createTmpDir({
+            'config/global.js': 'module.exports = { modules: [ "test" ] };',
+        });
+        let load = async range => {
+            writeFiles(basePath, {
+                'modules/test/package.json': JSON.stringify({ name: 'test', version: '1.2.3', engines: { arpen: range } }),
+            });
+            try {
+                return await initApp(basePath);
+            } catch (error) {
+                return error;
+            }
+        };
+
+        let app = await load(`^${App.version}`);
+        expect(app.get('config').modules.get('test').version).toBe('1.2.3');
+
+        let error = await load('>=100.0.0');
+        expect(error.message).toBe(`Module test v1.2.3 requires arpen >=100.0.0, but v${App.version} is installed`);
+    });
+
+    it('invalidates class map when sources change', async () => {
+        let basePath = createTmpDir({
+            'config/global.js': 'module.exports = { project: "test", instance: "spec", autoload: [ "src" ], class_map_dir: __dirname };',
+            'src/a.js': 'module.exports = { provides: "services.a" };',
+        });
+        let options = { cacheServices: true };
+
+        let first = await initApp(basePath, options);
+        expect(fs.existsSync(path.join(basePath, 'config', 'test.spec.map.json'))).toBeTruthy();
+        expect(first.search(/^services\./)).toEqual([ 'services.a' ]);
+
+        writeFiles(basePath, { 'src/b.js': 'module.exports = { provides: "services.b" };' });
+        let second = await initApp(basePath, options);
+        expect(second.search(/^services\./)).toEqual([ 'services.a', 'services.b' ]);
+    });
+
+    it('autoloads matching files', async () => {
+        let files = {
+            'a.service.js': 'services.a',
+            'b.js': 'services.b',
+            'c.service.js': 'other.c',
+            'd.service.spec.js': 'services.d',
+            'test/e.service.js': 'services.e',
+            'legacy/f.service.js': 'services.f',
+            'g.service.json': 'services.g',
+        };
+        let sources = {
+            'config/global.js': 'module.exports = ' + JSON.stringify({
+                autoload: [ { path: 'src/**/*.service.js', provides: 'services.' }, '!src/legacy' ],
+            }) + ';',
+        };
+        for (let name of Object.keys(files))
+            sources[`src/${name}`] = `module.exports = { provides: '${files[name]}' };`;
+
+        let app = await initApp(createTmpDir(sources));
+        expect(app.search(/^(services|other)\./)).toEqual([ 'services.a' ]);
+    });
+
+    it('is validated against schema', async () => {
+        let basePath = createTmpDir({
+            'config/global.js': 'module.exports = { typo_key: 1 };',
+            'config/schema.js': 'module.exports = { type: "object", properties: { project: { type: "string" } } };',
+        });
+        let error = await initApp(basePath).catch(error => error);
+        expect(error.message).toContain('typo_key: unknown key');
+
+        writeFiles(basePath, { 'config/schema.js': 'module.exports = { type: "object", ' });
+        error = await initApp(basePath).catch(error => error);
+        expect(error.message).toContain('Could not load');
+        expect(error.message).toContain('schema.js');
+    });
+
+    it('is reloaded', async () => {
+        let basePath = createTmpDir({
+            'config/global.js': 'module.exports = { project: "test", postgres: { main: { host: "a" }, other: { host: "b" } } };',
+        });
+
+        let app = await initApp(basePath);
+        let config = app.get('config');
+
+        let received;
+        app.registerInstance({ onConfigChange: () => { throw new Error('Failed'); } }, 'failing');
+        app.registerInstance({ onConfigChange: diff => { received = diff; } }, 'test');
+        spyOn(app, 'error').and.returnValue(Promise.resolve());
+
+        writeFiles(basePath, {
+            'config/global.js': 'module.exports = { project: "test", postgres: { main: { host: "c" }, other: { host: "b" } } };',
+        });
+        let diff = await app.reloadConfig();
+
+        expect(diff).toEqual([ 'postgres', 'postgres.main', 'postgres.main.host' ]);
+        expect(received).toBe(diff);
+        expect(app.error).toHaveBeenCalledTimes(1);
+        expect(app.error.calls.argsFor(0)[0]).toContain('Service failing could not apply configuration change');
+        expect(app.get('config')).toBe(config);
+        expect(config.get('postgres.main.host')).toBe('c');
+    });
+
+    it('is reloaded by SIGHUP in servers only', async () => {
+        let server = new Server(path.join(__dirname, '..', '..'));
+        spyOn(server, 'reloadConfig').and.returnValue(Promise.resolve([]));
+        spyOn(server, 'info').and.returnValue(Promise.resolve());
+        spyOn(server, 'exit').and.returnValue(Promise.resolve());
+        await server.onSignal('SIGHUP');
+        expect(server.reloadConfig).toHaveBeenCalled();
+        expect(server.exit).not.toHaveBeenCalled();
+
+        let app = new App(path.join(__dirname, '..', '..'));
+        spyOn(app, 'reloadConfig').and.returnValue(Promise.resolve([]));
+        spyOn(app, 'exit').and.returnValue(Promise.resolve());
+        await app.onSignal('SIGHUP');
+        expect(app.reloadConfig).not.toHaveBeenCalled();
+        expect(app.exit).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const path = require('path');
+const App = require('../../src/app/base');
+const Daemon = require('../../src/app/daemon');
+const { createTmpDir } = require('../helpers/tmp');
+
+describe('Daemon', () => {
+    let basePath;
+
+    beforeEach(() => {
+        basePath = createTmpDir({
+            'config/global.js': 'module.exports = { project: "test" };',
+            'config/staging.js': 'module.exports = { project: "staging" };',
+        });
+    });
+
+    afterEach(() => {
+        delete process.env.ARPEN_PG__PORT;
+    });
+
+    it('passes configuration overrides to the servers', async () => {
+        process.env.ARPEN_PG__PORT = '6432';
+        let daemon = new Daemon(basePath, path.join(basePath, 'daemon.pid'));
+
+        let spawned;
+        daemon._runner = {
+            spawn: (command, params, options) => {
+                spawned = { command, params, options };
+                return { cmd: { on: () => {} }, promise: Promise.resolve({ code: 0 }) };
+            },
+        };
+        daemon._exit = () => {};
+        await daemon._restart([ 'udp' ]);
+
+        expect(spawned.params.slice(1)).toEqual([ 'udp' ]);
+        expect(spawned.options.env.ARPEN_PG__PORT).toBe('6432');
+        expect(spawned.options.env.PATH).toEqual(jasmine.any(String));
+        expect(Daemon.getEnvironment({ HOME: '/root', NODE_ENV: 'staging' }).NODE_ENV).toBe('staging');
+        expect(Daemon.getEnvironment({ HOME: '/root' }).HOME).toBeUndefined();
+    });
+
+    it('passes environment profile to the servers', async () => {
+        let args = [ '--env', 'staging', 'udp' ];
+        let daemon = new Daemon(basePath, path.join(basePath, 'daemon.pid'), { env: App.parseArgv(args).env });
+        expect(daemon.getConfig('project')).toBe('staging');
+
+        let spawned;
+        daemon._runner = {
+            spawn: (command, params, options) => {
+                spawned = { command, params, options };
+                return { cmd: { on: () => {} }, promise: Promise.resolve({ code: 0 }) };
+            },
+        };
+        daemon._exit = () => {};
+        await daemon._restart(args);
+
+        expect(spawned.params.slice(1)).toEqual(args);
+    });
+});
@@ -209,4 +209,593 @@ describe('DI container', () => {
 
         done();
     });
-});
\ No newline at end of file
+
+    it('initializes services asynchronously', async () => {
+        class ClassA {
+            constructor(b) {
+                this.b = b;
+            }
+
+            static get provides() {
+                return 'a';
+            }
+
+            static get requires() {
+                return [ 'b' ];
+            }
+
+            static get async() {
+                return true;
+            }
+
+            async initialize() {
+                this.initialized = this.b.initialized;
+            }
+        }
+
+        class ClassB {
+            constructor(value) {
+                this.value = value;
+            }
+
+            static get provides() {
+                return 'b';
+            }
+
+            static get lifecycle() {
+                return 'singleton';
+            }
+
+            static async create() {
+                let b = new ClassB('created');
+                b.initialized = true;
+                return b;
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerClass(ClassB);
+
+        expect(() => app.get('a')).toThrow();
+
+        let a = await app.getAsync('a');
+        expect(a instanceof ClassA).toBeTruthy();
+        expect(a.b.value).toBe('created');
+        expect(a.initialized).toBeTruthy();
+        expect(app.get('b')).toBe(a.b);
+
+        let [ first, second ] = await Promise.all([ app.getAsync('a'), app.getAsync('a') ]);
+        expect(first).not.toBe(second);
+        expect(first.b).toBe(second.b);
+    });
+
+    it('does not initialize services which do not opt in', async () => {
+        class ClassC {
+            static get provides() {
+                return 'c';
+            }
+
+            initialize() {
+                this.initialized = true;
+            }
+        }
+
+        app.registerClass(ClassC);
+
+        expect(app.get('c').initialized).toBeUndefined();
+        expect((await app.getAsync('c')).initialized).toBeUndefined();
+    });
+
+    it('reports failed initialization', async () => {
+        class ClassA {
+            static get provides() {
+                return 'a';
+            }
+
+            static get async() {
+                return true;
+            }
+
+            async initialize() {
+                throw new Error('Failure');
+            }
+        }
+
+        app.registerClass(ClassA);
+
+        let error;
+        try {
+            await app.getAsync('a');
+        } catch (e) {
+            error = e;
+        }
+        expect(error).toBeDefined();
+        expect(error.message).toContain('Initializing a');
+    });
+
+    it('disposes singletons', async () => {
+        let disposed = [];
+
+        class ClassA {
+            constructor(b) {
+                this.b = b;
+            }
+
+            static get provides() {
+                return 'a';
+            }
+
+            static get requires() {
+                return [ 'b' ];
+            }
+
+            static get lifecycle() {
+                return 'singleton';
+            }
+
+            async dispose() {
+                disposed.push('a');
+            }
+        }
+
+        class ClassB {
+            static get provides() {
+                return 'b';
+            }
+
+            static get lifecycle() {
+                return 'singleton';
+            }
+
+            async dispose() {
+                disposed.push('b');
+            }
+        }
+
+        class ClassC {
+            static get provides() {
+                return 'c';
+            }
+
+            static get lifecycle() {
+                return 'singleton';
+            }
+
+            destroy() {
+                disposed.push('c');
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerClass(ClassB);
+        app.registerClass(ClassC);
+
+        app.get('c');
+        let a = app.get('a');
+        await app.dispose();
+        expect(disposed).toEqual([ 'a', 'b', 'c' ]);
+        expect(app.get('a')).not.toBe(a);
+    });
+
+    it('creates scopes', async () => {
+        class ClassA {
+            constructor(b, c) {
+                this.b = b;
+                this.c = c;
+            }
+
+            static get provides() {
+                return 'a';
+            }
+
+            static get requires() {
+                return [ 'b', 'c' ];
+            }
+        }
+
+        class ClassB {
+            constructor(scope) {
+                this.scope = scope;
+            }
+
+            static get provides() {
+                return 'b';
+            }
+
+            static get requires() {
+                return [ 'scope' ];
+            }
+
+            static get lifecycle() {
+                return 'scoped';
+            }
+
+            async dispose() {
+                this.disposed = true;
+            }
+        }
+
+        class ClassC {
+            static get provides() {
+                return 'c';
+            }
+
+            static get lifecycle() {
+                return 'singleton';
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerClass(ClassB);
+        app.registerClass(ClassC);
+
+        expect(() => app.get('a')).toThrow();
+
+        let scope1 = app.createScope();
+        let scope2 = app.createScope();
+        let a1 = scope1.get('a');
+        let a2 = scope2.get('a');
+        expect(a1).not.toBe(scope1.get('a'));
+        expect(a1.b).toBe(scope1.get('a').b);
+        expect(a1.b.scope).toBe(scope1);
+        expect(a1.b).not.toBe(a2.b);
+        expect(a1.c).toBe(a2.c);
+        expect(a1.c).toBe(app.get('c'));
+
+        await scope1.dispose();
+        expect(a1.b.disposed).toBeTruthy();
+        expect(a2.b.disposed).toBeFalsy();
+        expect(scope1.get('b')).not.toBe(a1.b);
+    });
+
+    it('describes services graph', done => {
+        class ClassA {
+            static get provides() {
+                return 'a';
+            }
+
+            static get requires() {
+                return [ 'b', 'c?', 'd' ];
+            }
+
+            static get lifecycle() {
+                return 'singleton';
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerInstance({}, 'b');
+
+        let graph = app.getGraph();
+        expect(graph.map(item => item.provides)).toEqual([ 'a', 'app', 'b' ]);
+        expect(graph[0]).toEqual({
+            provides: 'a',
+            requires: [ 'b', 'c?', 'd' ],
+            lifecycle: 'singleton',
+            tags: [],
+            aliases: [],
+            filename: null,
+            module: null,
+            missing: [ 'd' ],
+            dependencies: [
+                { name: 'b', optional: false, lazy: false, factory: false, missing: false },
+                { name: 'c', optional: true, lazy: false, factory: false, missing: false },
+                { name: 'd', optional: false, lazy: false, factory: false, missing: true },
+            ],
+        });
+        expect(graph[2].lifecycle).toBe('instance');
+
+        done();
+    });
+
+    it('validates services', done => {
+        class ClassA {
+            static get provides() {
+                return 'a';
+            }
+
+            static get requires() {
+                return [ 'b', 'missing?' ];
+            }
+        }
+
+        class ClassB {
+            static get provides() {
+                return 'b';
+            }
+
+            static get requires() {
+                return [ 'c' ];
+            }
+        }
+
+        class ClassC {
+            static get provides() {
+                return 'c';
+            }
+
+            static get requires() {
+                return [ 'b', 'd' ];
+            }
+
+            static get lifecycle() {
+                return 'invalid';
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerClass(ClassB);
+        app.registerClass(ClassC);
+
+        expect(app.validate()).toEqual([
+            `Service 'c' has invalid lifecycle: invalid`,
+            `Service 'c' requires missing service 'd'`,
+            'Cyclic dependency: b -> c -> b',
+        ]);
+
+        done();
+    });
+
+    it('applies interceptors', done => {
+        class ClassA {
+            static get provides() {
+                return 'repositories.a';
+            }
+
+            value() {
+                return 'a';
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerInterceptor(/^repositories\./, instance => {
+            return new Proxy(instance, {
+                get: (target, property) => {
+                    if (property !== 'value')
+                        return target[property];
+                    return () => target.value() + 'b';
+                },
+            });
+        });
+        app.registerInterceptor('repositories.a', instance => {
+            instance.intercepted = true;
+        });
+
+        let a = app.get('repositories.a');
+        expect(a instanceof ClassA).toBeTruthy();
+        expect(a.value()).toBe('ab');
+        expect(a.intercepted).toBeTruthy();
+
+        done();
+    });
+
+    it('resolves aliases and tags', done => {
+        class ClassA {
+            static get provides() {
+                return 'a';
+            }
+
+            static get aliases() {
+                return [ 'alias' ];
+            }
+
+            static get tags() {
+                return [ 'tag' ];
+            }
+
+            static get lifecycle() {
+                return 'singleton';
+            }
+        }
+
+        class ClassB {
+            constructor(a) {
+                this.a = a;
+            }
+
+            static get provides() {
+                return 'b';
+            }
+
+            static get requires() {
+                return [ 'alias' ];
+            }
+
+            static get tags() {
+                return [ 'tag', 'other' ];
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerClass(ClassB);
+
+        expect(app.has('alias')).toBeTruthy();
+        expect(app.get('alias')).toBe(app.get('a'));
+        expect(app.get('b').a).toBe(app.get('a'));
+        expect(app.searchTagged('tag')).toEqual([ 'a', 'b' ]);
+
+        let tagged = app.getTagged('other');
+        expect(Array.from(tagged.keys())).toEqual([ 'b' ]);
+        expect(tagged.get('b') instanceof ClassB).toBeTruthy();
+
+        class ClassS {
+            static get provides() {
+                return 's';
+            }
+
+            static get aliases() {
+                return [ 'sa' ];
+            }
+
+            static get lifecycle() {
+                return 'scoped';
+            }
+        }
+
+        class ClassT {
+            constructor(s) {
+                this.s = s;
+            }
+
+            static get provides() {
+                return 't';
+            }
+
+            static get requires() {
+                return [ 'sa' ];
+            }
+        }
+
+        app.registerClass(ClassS);
+        app.registerClass(ClassT);
+
+        let scope = app.createScope();
+        let s = scope.get('s');
+        expect(scope.get('sa')).toBe(s);
+        expect(scope.get('t').s).toBe(s);
+        expect(scope._created.length).toBe(1);
+
+        done();
+    });
+
+    it('resolves lazy dependencies', done => {
+        let created = 0;
+
+        class ClassA {
+            constructor(b) {
+                this.b = b;
+            }
+
+            static get provides() {
+                return 'a';
+            }
+
+            static get requires() {
+                return [ 'b!lazy', 'c?!lazy' ];
+            }
+        }
+
+        class ClassB {
+            constructor(a) {
+                created++;
+                this.a = a;
+                this.value = 'value';
+            }
+
+            static get provides() {
+                return 'b';
+            }
+
+            static get requires() {
+                return [ 'a' ];
+            }
+
+            static get lifecycle() {
+                return 'singleton';
+            }
+
+            getValue() {
+                return this.value;
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerClass(ClassB);
+
+        let a = app.get('a');
+        expect(created).toBe(0);
+        expect(a.b.getValue()).toBe('value');
+        expect(created).toBe(1);
+        expect(a.b instanceof ClassB).toBeTruthy();
+        expect(a.b.a).not.toBe(a);
+        expect(Object.keys(a.b)).toEqual([ 'a', 'value' ]);
+        expect(JSON.stringify(a.b, (key, value) => (key === 'a' ? undefined : value))).toBe('{"value":"value"}');
+        expect(app.validate()).toEqual([]);
+
+        done();
+    });
+
+    it('injects factories', done => {
+        class ClassA {
+            constructor(createB) {
+                this.createB = createB;
+            }
+
+            static get provides() {
+                return 'a';
+            }
+
+            static get requires() {
+                return [ 'b*', 'c*?' ];
+            }
+        }
+
+        class ClassB {
+            constructor(value) {
+                this.value = value;
+            }
+
+            static get provides() {
+                return 'b';
+            }
+        }
+
+        app.registerClass(ClassA);
+        app.registerClass(ClassB);
+
+        let a = app.get('a');
+        let b1 = a.createB('one');
+        let b2 = a.createB('two');
+        expect(b1 instanceof ClassB).toBeTruthy();
+        expect(b1.value).toBe('one');
+        expect(b2.value).toBe('two');
+
+        a.createB.async('three')
+            .then(b3 => {
+                expect(b3.value).toBe('three');
+                done();
+            });
+    });
+
+    it('injects factories and lazy proxies of existing scoped instances', async () => {
+        class ClassS {
+            static get provides() {
+                return 's';
+            }
+
+            static get lifecycle() {
+                return 'scoped';
+            }
+        }
+
+        class ClassU {
+            constructor(s, createS, lazyS) {
+                this.s = s;
+                this.createS = createS;
+                this.lazyS = lazyS;
+            }
+
+            static get provides() {
+                return 'u';
+            }
+
+            static get requires() {
+                return [ 's', 's*', 's!lazy' ];
+            }
+        }
+
+        app.registerClass(ClassS);
+        app.registerClass(ClassU);
+
+        for (let method of [ 'get', 'getAsync' ]) {
+            let scope = app.createScope();
+            let s = await scope[method]('s');
+            let u = await scope[method]('u');
+            expect(u.s).toBe(s);
+            expect(typeof u.createS).toBe('function');
+            expect(u.createS()).toBe(s);
+            expect(u.lazyS).not.toBe(s);
+            expect(u.lazyS instanceof ClassS).toBeTruthy();
+        }
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { TestApp, createTmpDir, writeFiles } = require('../helpers/tmp');
+
+class HotReloadApp extends TestApp {
+    static get hotReloadDelay() {
+        return 10;
+    }
+}
+
+describe('Hot reload', () => {
+    let app;
+    let basePath;
+    let disposed;
+
+    let createService = (provides, version) => {
+        return `
+            class Service {
+                static get provides() { return '${provides}'; }
+                static get lifecycle() { return 'singleton'; }
+            }
+            Service.prototype.version = ${version};
+            module.exports = Service;
+        `;
+    };
+
+    let createDependant = (provides, requires) => {
+        return `
+            class Dependant {
+                constructor(dependency) { this.dependency = dependency; }
+                static get provides() { return '${provides}'; }
+                static get requires() { return [ '${requires}' ]; }
+                static get lifecycle() { return 'singleton'; }
+                async dispose() { global.hotReloadDisposed.push(this); }
+            }
+            module.exports = Dependant;
+        `;
+    };
+
+    let waitFor = async check => {
+        for (let i = 0; i < 200 && !check(); i++)
+            await new Promise(resolve => setTimeout(resolve, 10));
+        return check();
+    };
+
+    beforeEach(async () => {
+        disposed = global.hotReloadDisposed = [];
+        basePath = createTmpDir({
+            'config/global.js': 'module.exports = { autoload: [ "src" ] };',
+            'src/a.js': createService('a', 1),
+            'src/b.js': createDependant('b', 'a'),
+            'src/nested/c.js': createDependant('c', 'b'),
+            'lib/d.js': createService('d', 1),
+        });
+
+        let debug = process.env.DEBUG;
+        process.env.DEBUG = 'test';
+        try {
+            app = new HotReloadApp(basePath);
+            app.options = { hotReload: true };
+            await app.init();
+        } finally {
+            if (typeof debug === 'undefined')
+                delete process.env.DEBUG;
+            else
+                process.env.DEBUG = debug;
+        }
+    });
+
+    afterEach(async () => {
+        await app.dispose();
+        delete global.hotReloadDisposed;
+    });
+
+    it('reloads changed file and disposes dependent singletons', async () => {
+        let c = app.get('c');
+        expect(c.dependency.dependency.version).toBe(1);
+
+        writeFiles(basePath, { 'src/a.js': createService('a', 2) });
+        expect(await waitFor(() => disposed.length === 2)).toBe(true);
+
+        expect(disposed).toEqual([ c, c.dependency ]);
+        expect(app.get('a') instanceof require(path.join(basePath, 'src', 'a.js'))).toBe(true);
+        expect(app.get('a').version).toBe(2);
+        expect(app.get('c')).not.toBe(c);
+        expect(app.get('c').dependency.dependency).toBe(app.get('a'));
+    });
+
+    it('registers service again when provides changes', async () => {
+        let b = app.get('b');
+
+        writeFiles(basePath, { 'src/a.js': createService('a2', 2) });
+        expect(await waitFor(() => disposed.length === 1)).toBe(true);
+
+        expect(disposed).toEqual([ b ]);
+        expect(app.has('a')).toBe(false);
+        expect(app.get('a2').version).toBe(2);
+        expect(() => app.get('b')).toThrow();
+    });
+
+    it('unregisters deleted file', async () => {
+        let b = app.get('b');
+
+        fs.unlinkSync(path.join(basePath, 'src', 'a.js'));
+        expect(await waitFor(() => disposed.length === 1)).toBe(true);
+
+        expect(disposed).toEqual([ b ]);
+        expect(app.has('a')).toBe(false);
+        expect(() => app.get('b')).toThrow();
+    });
+
+    it('ignores files outside of autoloaded directories', async () => {
+        writeFiles(basePath, { 'lib/e.js': createService('e', 1) });
+        writeFiles(basePath, { 'src/nested/f.js': createService('f', 1) });
+        expect(await waitFor(() => app.has('f'))).toBe(true);
+        expect(app.has('d')).toBe(false);
+        expect(app.has('e')).toBe(false);
+    });
+});
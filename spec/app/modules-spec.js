@@ -0,0 +1,122 @@
+'use strict';
+
+const path = require('path');
+const App = require('../../src/app/base');
+const Server = require('../../src/app/server');
+
+describe('Modules', () => {
+    let app;
+    let basePath = path.join(__dirname, '..', '..');
+
+    beforeEach(() => {
+        app = new Server(basePath);
+        app.registerInstance({ get: () => undefined }, 'config');
+        app.registerInstance(new Map(), 'servers');
+    });
+
+    let createModule = (name, dependsOn = [], after = []) => {
+        return class {
+            static get provides() {
+                return `modules.${name}`;
+            }
+
+            static get dependsOn() {
+                return dependsOn;
+            }
+
+            static get after() {
+                return after;
+            }
+        };
+    };
+
+    it('are sorted by dependencies', async () => {
+        let order = [];
+        for (let [ name, dependsOn, after ] of [ [ 'a', [ 'b' ], [ 'c', 'x' ] ], [ 'b', [] ], [ 'c', [ 'modules.b' ] ] ]) {
+            let Module = createModule(name, dependsOn, after);
+            Module.prototype.bootstrap = async () => { order.push(name); };
+            app.registerClass(Module);
+        }
+
+        await app._initModules();
+        expect(Array.from(app.get('modules').keys())).toEqual([ 'modules.b', 'modules.c', 'modules.a' ]);
+        expect(order).toEqual([ 'b', 'c', 'a' ]);
+    });
+
+    it('are started, stopped and disposed', async () => {
+        let calls = [];
+        for (let [ name, dependsOn ] of [ [ 'a', [ 'b' ] ], [ 'b', [] ] ]) {
+            let Module = createModule(name, dependsOn);
+            for (let method of [ 'bootstrap', 'start', 'stop', 'dispose' ])
+                Module.prototype[method] = async () => { calls.push(`${method} ${name}`); };
+            app.registerClass(Module);
+        }
+
+        await app._initModules();
+        await app.start();
+        await app.stop();
+        await app.stop();
+        await app.dispose();
+
+        expect(calls).toEqual([
+            'bootstrap b', 'bootstrap a',
+            'start b', 'start a',
+            'stop a', 'stop b',
+            'dispose a', 'dispose b',
+        ]);
+    });
+
+    it('are started by servers only', async () => {
+        let calls = [];
+        let Module = createModule('a');
+        for (let method of [ 'bootstrap', 'start', 'stop' ])
+            Module.prototype[method] = async () => { calls.push(method); };
+
+        app = new App(basePath);
+        app.registerClass(Module);
+        await app._initModules();
+        await app.start();
+        await app.stop();
+
+        expect(calls).toEqual([ 'bootstrap' ]);
+    });
+
+    it('must return promises', async () => {
+        let Module = createModule('a');
+        Module.prototype.start = () => {};
+        app.registerClass(Module);
+        await app._initModules();
+
+        let error;
+        try {
+            await app.start();
+        } catch (e) {
+            error = e;
+        }
+        expect(error && error.message).toBe(`Module 'modules.a' start() did not return a Promise`);
+    });
+
+    it('fail on missing and cyclic dependencies', async () => {
+        app.registerClass(createModule('a', [ 'b' ]));
+
+        let error;
+        try {
+            await app._initModules();
+        } catch (e) {
+            error = e;
+        }
+        expect(error && error.message).toBe(`Module 'modules.a' depends on missing module 'b'`);
+
+        app = new App(basePath);
+        app.registerClass(createModule('a', [ 'b' ]));
+        app.registerClass(createModule('b', [], [ 'a' ]));
+
+        error = null;
+        try {
+            await app._initModules();
+        } catch (e) {
+            error = e;
+        }
+        expect(error && error.message).toBe('Cyclic module dependency: modules.a -> modules.b -> modules.a');
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const App = require('../../src/app/base');
+
+let dirs = [];
+
+/**
+ * App which does not install signal handlers
+ */
+class TestApp extends App {
+    static get signals() {
+        return [];
+    }
+}
+
+/**
+ * Write the files creating their directories
+ * @param {string} basePath         Directory
+ * @param {object} files            Contents by relative file name
+ */
+function writeFiles(basePath, files) {
+    for (let name of Object.keys(files)) {
+        let filename = path.join(basePath, name);
+        let dirs = [];
+        for (let dir = path.dirname(filename); !fs.existsSync(dir); dir = path.dirname(dir))
+            dirs.unshift(dir);
+        for (let dir of dirs)
+            fs.mkdirSync(dir);
+        fs.writeFileSync(filename, files[name]);
+    }
+}
+
+/**
+ * Create temporary directory with the files which is removed after the spec
+ * @param {object} [files]          Contents by relative file name
+ * @return {string}                 Returns the path
+ */
+function createTmpDir(files = {}) {
+    let basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'arpen-'));
+    dirs.push(basePath);
+    writeFiles(basePath, files);
+    return basePath;
+}
+
+/**
+ * Create and initialize the app
+ * @param {string} basePath         Path of the app
+ * @param {object} [options]        App options
+ * @param {string[]} [argv]         Command line arguments
+ * @return {Promise}                Resolves to the app
+ */
+async function initApp(basePath, options = {}, argv = []) {
+    let app = new TestApp(basePath, argv);
+    app.options = options;
+    await app.init();
+    return app;
+}
+
+afterEach(() => {
+    for (let basePath of dirs)
+        rimraf.sync(basePath);
+    dirs = [];
+});
+
+module.exports = {
+    TestApp,
+    writeFiles,
+    createTmpDir,
+    initApp,
+};
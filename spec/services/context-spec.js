@@ -0,0 +1,69 @@
+'use strict';
+
+const path = require('path');
+const App = require('../../src/app/base');
+const Context = require('../../src/services/context');
+const Logger = require('../../src/services/logger');
+
+describe('Context', () => {
+    let context;
+
+    beforeEach(() => {
+        context = new Context();
+    });
+
+    it('keeps fields across async calls', done => {
+        if (!Context.supported)
+            return pending('No async hooks');
+
+        expect(context.id).toBeUndefined();
+
+        context.run({ user: 1 }, async () => {
+            let id = context.id;
+            expect(id).toEqual(jasmine.any(String));
+            await new Promise(resolve => setTimeout(resolve, 1));
+            expect(context.get()).toEqual({ user: 1, correlationId: id });
+
+            context.run({ step: 'inner' }, () => {
+                expect(context.id).toBe(id);
+                expect(context.get('user')).toBe(1);
+                expect(context.set('step', 'changed')).toBe(true);
+                expect(context.get('step')).toBe('changed');
+            });
+            expect(context.get('step')).toBeUndefined();
+        })
+            .then(() => {
+                expect(context.set('step', 'outside')).toBe(false);
+                done();
+            });
+    });
+
+    it('wraps event handlers', done => {
+        if (!Context.supported)
+            return pending('No async hooks');
+
+        let handler = context.wrap(value => context.get(), value => ({ value: value }));
+        let first = handler(1);
+        let second = handler(2);
+        expect(first.value).toBe(1);
+        expect(second.value).toBe(2);
+        expect(first.correlationId).not.toBe(second.correlationId);
+        done();
+    });
+
+    it('is used by logger', done => {
+        if (!Context.supported)
+            return pending('No async hooks');
+
+        let app = new App(path.join(__dirname, '..', '..'));
+        app.registerInstance(context, 'context');
+        let logger = new Logger(app, { get: () => undefined }, null, { default: null, logs: new Map(), console: {} });
+
+        context.run({ correlationId: 'abc', client: 'localhost' }, () => {
+            let record = JSON.parse(logger._formatJson('info', [ 'Message' ]));
+            expect(record.correlationId).toBe('abc');
+            expect(record.client).toBe('localhost');
+            done();
+        });
+    });
+});
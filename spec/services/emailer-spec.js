@@ -0,0 +1,36 @@
+'use strict';
+
+const Emailer = require('../../src/services/emailer');
+const { createTmpDir } = require('../helpers/tmp');
+
+describe('Emailer', () => {
+    it('renders templates', async () => {
+        let basePath = createTmpDir({
+            'templates/email/welcome.txt': 'Subject: Welcome, {{ user.name }}\n\nHello, {{ user.name }}!\n',
+            'templates/email/welcome.de.txt': 'Subject: Willkommen, {{ user.name }}\n\nHallo, {{ user.name }}!\n',
+            'templates/email/welcome.html': '<p>Hello, {{ user.name }} {{{ user.name }}}</p>\n',
+            'templates/email/crash.txt': 'Subject: Crash of {{ name }}\n\n{{ output }}\n',
+        });
+
+        let config = { project: 'project', instance: 'instance', base_path: basePath, get: () => undefined };
+        let emailer = new Emailer(config);
+        let vars = { user: { name: '<Bob>' } };
+
+        let results = [
+            await emailer.renderTemplate('welcome', vars),
+            await emailer.renderTemplate('welcome', vars, 'de-AT'),
+            await emailer.renderTemplate('crash', { name: 'app', output: 'Output' }),
+            await emailer.renderTemplate('log-message', { type: 'error', text: 'Message' }),
+        ];
+        let missing = await emailer.renderTemplate('missing').catch(error => error);
+
+        expect(results[0].subject).toBe('Welcome, <Bob>');
+        expect(results[0].text).toBe('Hello, <Bob>!\n');
+        expect(results[0].html).toContain('<p>Hello, &lt;Bob&gt; <Bob></p>\n</body>');
+        expect(results[1].subject).toBe('Willkommen, <Bob>');
+        expect(results[1].text).toBe('Hallo, <Bob>!\n');
+        expect(results[2]).toEqual({ subject: 'Crash of app', text: 'Output\n', html: null });
+        expect(results[3].subject).toBe('[project/instance] Message logged (error)');
+        expect(missing instanceof Error).toBe(true);
+    });
+});
@@ -0,0 +1,209 @@
+'use strict';
+
+const net = require('net');
+const path = require('path');
+const NError = require('nerror');
+const App = require('../../src/app/base');
+const Logger = require('../../src/services/logger');
+const LogTransport = require('../../src/services/logger/transport');
+const StdoutTransport = require('../../src/services/logger/stdout');
+const SyslogTransport = require('../../src/services/logger/syslog');
+const { createTmpDir } = require('../helpers/tmp');
+
+class MemoryTransport extends LogTransport {
+    constructor(name, options) {
+        super(name, options);
+        this.lines = [];
+    }
+
+    static get provides() {
+        return 'test.memoryTransport';
+    }
+
+    static get requires() {
+        return [];
+    }
+
+    write(level, line, cb) {
+        this.lines.push(line);
+        if (cb)
+            cb(true);
+    }
+}
+
+describe('Logger', () => {
+    let app;
+    let logger;
+
+    beforeEach(() => {
+        app = new App(path.join(__dirname, '..', '..'));
+        let config = { get: () => undefined };
+        logger = new Logger(app, config, null, { default: null, logs: new Map(), console: {} });
+    });
+
+    it('formats JSON lines', done => {
+        let child = logger.child({ requestId: 'abc' }).child({ user: 1 });
+        let error = new NError(new Error('Cause'), { key: 'value' }, 'Failed');
+        let record = JSON.parse(child._formatJson('error', [ 'Request %s', 'one', error ], 'http'));
+
+        expect(record.timestamp).toEqual(jasmine.any(String));
+        delete record.timestamp;
+        expect(record.stack).toContain('Cause');
+        delete record.stack;
+        expect(record).toEqual({
+            requestId: 'abc',
+            user: 1,
+            level: 'error',
+            issuer: 'http',
+            info: { key: 'value' },
+            message: 'Request one ' + (error.messages || error.message),
+        });
+        expect(JSON.parse(logger._formatJson('info', [ 'Message' ])).requestId).toBeUndefined();
+
+        done();
+    });
+
+    it('writes to default streams filtered by their levels', done => {
+        app.registerClass(MemoryTransport);
+        logger.createLogStream('all', undefined, 'debug', true, {}, 'text', 'test.memoryTransport');
+        logger.createLogStream('errors', undefined, 'error', true, {}, 'json', 'test.memoryTransport');
+        logger.createLogStream('other', undefined, 'debug', false, {}, 'text', 'test.memoryTransport');
+
+        logger.info('Info', written => {
+            expect(written).toBe(true);
+            logger.error('Error', () => {
+                let streams = logger._streams.logs;
+                expect(streams.get('all').transport.lines.length).toBe(2);
+                expect(streams.get('errors').transport.lines.map(line => JSON.parse(line).message)).toEqual([ 'Error' ]);
+                expect(streams.get('other').transport.lines.length).toBe(0);
+                done();
+            });
+        });
+    });
+
+    it('uses built-in transports when not registered', done => {
+        logger.createLogStream('out', undefined, 'info', false, {}, 'text', 'stdout');
+        expect(logger._streams.logs.get('out').transport instanceof StdoutTransport).toBe(true);
+        done();
+    });
+
+    it('sends syslog messages to stream Unix socket', done => {
+        let socket = path.join(createTmpDir(), 'syslog.sock');
+        let received = '';
+        let server = net.createServer(connection => {
+            connection.on('data', data => {
+                received += data.toString();
+            });
+            connection.on('end', () => {
+                let [ length, body ] = received.split(/ (.*)/);
+                expect(Number(length)).toBe(Buffer.byteLength(body));
+                expect(body).toMatch(new RegExp(`^<14>1 \\S+ \\S+ app ${process.pid} - - Message$`));
+                server.close(done);
+            });
+        });
+        server.listen(socket, () => {
+            let transport = new SyslogTransport({ project: 'test' }, 'syslog', { socket: socket, app_name: 'app' });
+            transport.write('info', 'Message', written => {
+                expect(written).toBe(true);
+                transport.close();
+            });
+        });
+    });
+
+    it('formats syslog messages', done => {
+        let transport = new SyslogTransport({ project: 'test' }, 'syslog', { facility: 'local0' });
+        let message = transport._frame('warn', 'Message');
+        let [ length, body ] = message.split(/ (.*)/);
+        expect(Number(length)).toBe(Buffer.byteLength(body));
+        expect(body).toMatch(new RegExp(`^<132>1 \\S+ \\S+ test ${process.pid} - - Message$`));
+        done();
+    });
+
+    it('filters by issuer levels and runtime rules', done => {
+        app.registerClass(MemoryTransport);
+        logger.createLogStream('main', undefined, 'info', true, { issuers: { session: 'debug', db: 'error' } }, 'text', 'test.memoryTransport');
+        logger.createLogStream('other', undefined, 'info', false, {}, 'text', 'test.memoryTransport');
+
+        expect(logger._streams.logs.get('main').transport.options.issuers).toBeUndefined();
+        expect(logger.getLevel('main')).toBe('info');
+        expect(logger.getLevel('main', 'session')).toBe('debug');
+        expect(logger.getLevel('main', 'db')).toBe('error');
+
+        logger.setLevel('debug', { stream: 'main' });
+        expect(logger.getLevel('main', 'db')).toBe('debug');
+        expect(logger.getLevel('other')).toBe('info');
+        logger.setLevel('warn', { issuer: 'db' });
+        expect(logger.getLevel('main', 'db')).toBe('warn');
+        expect(logger.getLevelRules()).toEqual([
+            { stream: 'main', issuer: undefined, level: 'debug' },
+            { stream: undefined, issuer: 'db', level: 'warn' },
+        ]);
+        logger.setLevel(null, { stream: 'main' });
+        logger.setLevel(null, { issuer: 'db' });
+        expect(logger.getLevel('main', 'db')).toBe('error');
+        expect(() => logger.setLevel('verbose')).toThrow();
+
+        logger.debug('session', 'Logged', () => {
+            logger.debug('http', 'Skipped', () => {
+                expect(logger._streams.logs.get('main').transport.lines.length).toBe(1);
+                done();
+            });
+        });
+    });
+
+    it('takes levels file from environment', done => {
+        let basePath = createTmpDir({ 'config/global.js': 'module.exports = { project: "test", instance: "spec" };' });
+        let config = App.loadConfig(basePath, { variables: {} });
+        expect(Logger.getLevelsFile(config)).toBe(path.join(Logger.levelsDir, 'test.spec.log-levels.json'));
+
+        config = App.loadConfig(basePath, { variables: { ARPEN_LOG_LEVELS_PATH: '/tmp/rules.json' } });
+        expect(Logger.getLevelsFile(config)).toBe('/tmp/rules.json');
+        done();
+    });
+
+    it('sends email digest with duplicates counted and limited', done => {
+        let sent = [];
+        let settings = { 'email.log.digest': 60, 'email.log.max_per_hour': 1, 'email.log.to': 'to@example.com' };
+        logger._config = { project: 'project', instance: 'instance', get: key => settings[key] };
+        logger._emailer = { sendTemplate: async (name, params) => { sent.push(Object.assign({ name: name }, params)); } };
+
+        logger._mail('error', 'One', '[date] One');
+        logger._mail('error', 'One', '[date] One');
+        logger._mail('error', 'Two', '[date] Two');
+        logger.flushMail();
+        expect(sent.length).toBe(1);
+        expect(sent[0].to).toBe('to@example.com');
+        expect(sent[0].name).toBe('log-digest');
+        expect(sent[0].vars.count).toBe(3);
+        expect(sent[0].vars.text).toMatch(/^\(2 times, first at .+\) \[date\] One\n\n\[date\] Two$/);
+
+        logger._mail('error', 'Three', '[date] Three');
+        logger.flushMail();
+        expect(sent.length).toBe(1);
+        expect(logger._streams.mail.suppressed).toBe(1);
+
+        logger.dispose()
+            .then(() => {
+                expect(sent.length).toBe(2);
+                expect(sent[1].vars.text).toBe('1 message(s) were not emailed because of the limit of emails per hour');
+                expect(logger._streams.mail.suppressed).toBe(0);
+                done();
+            })
+            .catch(done.fail);
+    });
+
+    it('is disposed with its streams', done => {
+        let owner = new Logger(app, { get: () => undefined }, null);
+        let child = new Logger(app, { get: () => undefined }, null, app.get('logger.streams'));
+        expect(owner._streams).toBe(child._streams);
+        expect(owner._streams.logger).toBe(owner);
+
+        spyOn(owner, 'flushMail').and.returnValue(Promise.resolve());
+        app.dispose()
+            .then(() => {
+                expect(owner.flushMail).toHaveBeenCalledWith(true);
+                done();
+            })
+            .catch(done.fail);
+    });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const Schema = require('../../src/services/schema');
+
+describe('Config schema', () => {
+    let schema;
+
+    beforeEach(() => {
+        schema = new Schema();
+    });
+
+    it('reports key paths', done => {
+        let config = {
+            postgres: {
+                main: {
+                    host: 'localhost',
+                    port: '5432',
+                    prot: 5432,
+                },
+            },
+        };
+
+        let errors = schema.validate(
+            {
+                type: 'object',
+                properties: {
+                    project: { type: 'string', required: true },
+                    postgres: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                host: { type: 'string', required: true },
+                                port: { type: 'integer', default: 5432 },
+                            },
+                        },
+                    },
+                },
+            },
+            config
+        );
+
+        expect(errors).toEqual([
+            'project: is required',
+            'postgres.main.port: expected integer, got string',
+            'postgres.main.prot: unknown key',
+        ]);
+
+        done();
+    });
+
+    it('applies defaults', done => {
+        let config = { logs: { main: {} } };
+
+        let errors = schema.validate(
+            {
+                type: 'object',
+                properties: {
+                    env: { type: 'string', enum: [ 'development', 'production' ], default: 'production' },
+                    logs: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                level: { type: 'string', default: 'info' },
+                            },
+                        },
+                    },
+                },
+            },
+            config
+        );
+
+        expect(errors).toEqual([]);
+        expect(config).toEqual({ env: 'production', logs: { main: { level: 'info' } } });
+
+        done();
+    });
+});
@@ -3,10 +3,25 @@
  * @module arpen/app/base
  */
 const debug = require('debug')('arpen:app');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
 const merge = require('merge');
+const minimatch = require('minimatch');
+const semver = require('semver');
 const NError = require('nerror');
 const Filer = require('../services/filer.js');
+const Schema = require('../services/schema.js');
+const Scope = require('./scope.js');
+
+/**
+ * Service interceptor
+ * @callback ServiceInterceptor
+ * @param {object} instance     Instance of the service created by the container
+ * @param {string} name         Name of the service
+ * @return {object}             Returns decorated instance (a Proxy, for example). If nothing is returned the instance
+ *                              is used as is
+ */
 
 /**
  * Base application class
@@ -16,6 +31,8 @@ const Filer = require('../services/filer.js');
 class App {
     /**
      * Create app
+     * <br><br>
+     * Environment (configuration profile) is taken from --env argument, which is removed from argv, or from NODE_ENV
      * @param {string} basePath             Path to the root of the project
      * @param {string[]} argv               Command line arguments
      */
@@ -23,9 +40,22 @@ class App {
         debug('Constructing the app');
         this.basePath = basePath;
         this.argv = argv;
+        this.env = process.env.NODE_ENV || null;
         this.options = {};
 
+        if (Array.isArray(argv)) {
+            let parsed = this.constructor.parseArgv(argv);
+            this.argv = parsed.argv;
+            if (typeof parsed.env !== 'undefined')
+                this.env = parsed.env;
+        }
+
         this._container = new Map();
+        this._aliases = new Map();
+        this._singletons = [];
+        this._interceptors = [];
+        this._autoloadPaths = [];
+        this._watchers = [];
         this.registerInstance(this, 'app');
     }
 
@@ -45,12 +75,145 @@ class App {
         return 60 * 1000; // ms
     }
 
+    /**
+     * Default time limit of disposing a service
+     * @type {number}
+     */
+    static get disposeTimeout() {
+        return 10 * 1000; // ms
+    }
+
+    /**
+     * Delay before reloading changed file in hot reload mode
+     * @type {number}
+     */
+    static get hotReloadDelay() {
+        return 200; // ms
+    }
+
     /**
      * Catched signals
      * @type {string[]}
      */
     static get signals() {
-        return ['SIGINT', 'SIGTERM', 'SIGHUP'];
+        return ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGUSR2'];
+    }
+
+    /**
+     * Version of arpen
+     * @type {string}
+     */
+    static get version() {
+        return require('../../package.json').version;
+    }
+
+    /**
+     * Glob patterns (relative to autoload path) of files and directories which are never autoloaded
+     * @type {string[]}
+     */
+    static get autoloadExclude() {
+        return [
+            '**/node_modules/**',
+            '**/test/**',
+            '**/tests/**',
+            '**/spec/**',
+            '**/__tests__/**',
+            '**/fixtures/**',
+            '**/__fixtures__/**',
+            '**/*.spec.js',
+            '**/*-spec.js',
+            '**/*.test.js',
+        ];
+    }
+
+    /**
+     * Default directory of the class map cache (config.class_map_dir overrides it)
+     * @type {string}
+     */
+    static get classMapDir() {
+        return '/var/tmp';
+    }
+
+    /**
+     * Extract --env option from command line arguments
+     * @param {string[]} argv               Command line arguments
+     * @return {object}                     Returns { argv, env } where argv are the other arguments and env is
+     *                                      undefined if the option is not given
+     */
+    static parseArgv(argv) {
+        let result = { argv: [], env: undefined };
+        for (let i = 0; i < argv.length; i++) {
+            let match = /^--env(=(.*))?$/.exec(argv[i]);
+            if (!match)
+                result.argv.push(argv[i]);
+            else if (match[1])
+                result.env = match[2] || null;
+            else
+                result.env = argv[++i] || null;
+        }
+        return result;
+    }
+
+    /**
+     * Prefix of environment variables overriding the configuration
+     * @type {string}
+     */
+    static get envPrefix() {
+        return 'ARPEN_';
+    }
+
+    /**
+     * Load configuration of the app or of a module. This is config/global.js merged with config/&lt;env&gt;.js (if the
+     * environment is set and the file exists), then with config/local.js and then overridden by the environment
+     * variables.
+     * <br><br>
+     * Environment variable PREFIX_KEY__SUBKEY sets config key 'key.subkey' (PREFIX_MODULES__NAME__KEY sets 'key' of
+     * module 'name'). If the variable name ends with _FILE its value is the name of the file containing the value.
+     * The value is converted to the type of the value it overrides, or to the type in config/schema.js if the key is
+     * not set.
+     * @param {string} basePath             Path to the root of the project or the module
+     * @param {object} [options]            Options
+     * @param {string} [options.module]     Name of the module, if loading module configuration
+     * @param {string} [options.env]        Name of the environment (profile), e.g. 'production'
+     * @param {object} [options.variables]  Environment variables, default is process.env
+     * @return {object}                     Returns the configuration
+     */
+    static loadConfig(basePath, options = {}) {
+        let suffix = options.module ? ` (module: ${options.module})` : '';
+        if (options.env && (!/^[A-Za-z0-9_-]+$/.test(options.env) || [ 'global', 'local', 'schema' ].includes(options.env)))
+            throw new Error(`Invalid environment name: ${options.env}`);
+
+        let load = (filename, defaultObject) => {
+            try {
+                delete require.cache[filename];
+                return require(filename);
+            } catch (error) {
+                if (typeof defaultObject === 'undefined')
+                    throw new NError(error, `Could not load ${filename}`);
+                return defaultObject;
+            }
+        };
+
+        let globalConf = load(path.join(basePath, 'config', 'global.js'), options.module ? {} : undefined);
+        let envConf = options.env ? load(path.join(basePath, 'config', `${options.env}.js`), {}) : {};
+        let localConf = load(path.join(basePath, 'config', 'local.js'), {});
+        if (typeof globalConf !== 'object')
+            throw new Error('Global config is not an object' + suffix);
+        if (typeof envConf !== 'object')
+            throw new Error(`Config of ${options.env} environment is not an object` + suffix);
+        if (typeof localConf !== 'object')
+            throw new Error('Local config is not an object' + suffix);
+
+        let config = merge.recursive(true, globalConf, envConf, localConf);
+
+        let prefix = this.envPrefix;
+        if (options.module)
+            prefix += 'MODULES__' + options.module.toUpperCase().replace(/[^A-Z0-9]+/g, '_') + '__';
+        let schemaFile = path.join(basePath, 'config', 'schema.js');
+        let schema = fs.existsSync(schemaFile) ? load(schemaFile) : null;
+        this._applyEnvironment(config, prefix, options.variables || process.env, schema);
+
+        return config;
     }
 
     /**
@@ -66,6 +229,7 @@ class App {
         debug(`Registering instance '${name}'`);
         let service = this._initService(name);
         service.instance = instance;
+        service.lifecycle = 'instance';
 
         return service.provides;
     }
@@ -85,10 +249,30 @@ class App {
         let service = this._initService(name, filename);
         service.class = classFunc;
         service.requires = classFunc.requires || [];
+        service.lifecycle = classFunc.lifecycle || 'perRequest';
+        service.tags = classFunc.tags || [];
+        this._setAliases(service, classFunc.aliases || []);
 
         return service.provides;
     }
 
+    /**
+     * Register an interceptor which will decorate instances of matching services created by the container
+     * <br><br>
+     * Interceptors are applied in the order of registration, each receives the result of the previous one
+     * @param {string|RegExp} name          Service name or RegExp of names
+     * @param {ServiceInterceptor} interceptor  The interceptor
+     */
+    registerInterceptor(name, interceptor) {
+        if (!name)
+            throw new Error('No service name provided for an interceptor');
+        if (typeof interceptor !== 'function')
+            throw new Error('Interceptor is not a function');
+
+        debug(`Registering interceptor for ${name}`);
+        this._interceptors.push({ name, interceptor });
+    }
+
     /**
      * Check if service is registered
      * @param {string} name                 Service name
@@ -98,7 +282,7 @@ class App {
         if (!name)
             throw new Error('No service name provided');
 
-        return this._container.has(name);
+        return this._container.has(this._getServiceName(name));
     }
 
     /**
@@ -112,13 +296,56 @@ class App {
             throw new Error('No service name provided');
 
         debug(`Retrieving service '${name}'`);
-        if (typeof name === 'string')
-            return this._resolveService(name, extra, new Map());
+        return this._get(name, extra);
+    }
 
-        let result = new Map();
-        let request = new Map();
-        this.search(name).map(item => result.set(item, this._resolveService(item, extra, request)));
-        return result;
+    /**
+     * Get instance of a service, awaiting asynchronous initialization of the service and its dependencies
+     * <br><br>
+     * Services with static .create() async factory or with static .async getter (and .initialize() method) can only be
+     * retrieved this way
+     * @param {string|RegExp} name          Service name or RegExp of names
+     * @param {...*} extra                  Optional extra arguments to the constructor
+     * @return {Promise}                    Resolves to instance or Map of instances in case of RegExp
+     */
+    async getAsync(name, ...extra) {
+        if (!name)
+            throw new Error('No service name provided');
+
+        debug(`Retrieving service '${name}' asynchronously`);
+        return this._getAsync(name, extra);
+    }
+
+    /**
+     * Get instances of all the services with given tag
+     * @param {string} tag                  The tag
+     * @param {...*} extra                  Optional extra arguments to the constructor
+     * @return {Map}                        Returns Map of instances
+     */
+    getTagged(tag, ...extra) {
+        debug(`Retrieving services tagged '${tag}'`);
+        return this._get(this.searchTagged(tag), extra);
+    }
+
+    /**
+     * Get instances of all the services with given tag awaiting their asynchronous initialization
+     * @param {string} tag                  The tag
+     * @param {...*} extra                  Optional extra arguments to the constructor
+     * @return {Promise}                    Resolves to Map of instances
+     */
+    async getTaggedAsync(tag, ...extra) {
+        debug(`Retrieving services tagged '${tag}' asynchronously`);
+        return this._getAsync(this.searchTagged(tag), extra);
+    }
+
+    /**
+     * Create child container. Services with 'scoped' lifecycle are instantiated once per scope, the rest are resolved
+     * just like in the app
+     * @return {Scope}
+     */
+    createScope() {
+        debug('Creating scope');
+        return new Scope(this);
     }
 
     /**
@@ -136,6 +363,152 @@ class App {
         return result;
     }
 
+    /**
+     * Search registered services by tag
+     * @param {string} tag                  The tag
+     * @return {string[]}                   Returns array of tagged service names
+     */
+    searchTagged(tag) {
+        debug(`Searching for services tagged '${tag}'`);
+        let result = [];
+        for (let [name, service] of this._container) {
+            if (service.tags && service.tags.includes(tag))
+                result.push(name);
+        }
+        return result;
+    }
+
+    /**
+     * Describe registered services and their dependencies
+     * @return {object[]}                   Returns array of service descriptions sorted by service name:
+     * <pre>
+     * {
+     *   provides: 'name',
+     *   requires: [ 'dependency', 'optional?' ],
+     *   lifecycle: 'perRequest',           // or 'instance' for registered instances
+     *   tags: [ 'tag' ],
+     *   aliases: [ 'alias' ],
+     *   filename: '/path/to/class.js',     // or null
+     *   module: 'moduleName',              // or null if registered by the app
+     *   missing: [ 'dependency' ],         // required but not registered services
+     *   dependencies: [                    // parsed requires
+     *     { name: 'optional', optional: true, lazy: false, factory: false, missing: false },
+     *   ],
+     * }
+     * </pre>
+     */
+    getGraph() {
+        let result = [];
+        for (let name of Array.from(this._container.keys()).sort()) {
+            let service = this._container.get(name);
+            let requires = service.requires || [];
+            let dependencies = requires.map(item => {
+                let dependency = this._parseDependency(item);
+                dependency.missing = !dependency.optional &&
+                    dependency.name !== 'scope' && // 'scope' is provided by scopes
+                    !this.has(dependency.name);
+                return dependency;
+            });
+            result.push({
+                provides: name,
+                requires: requires,
+                lifecycle: service.lifecycle || null,
+                tags: service.tags || [],
+                aliases: service.aliases || [],
+                filename: service.filename || null,
+                module: service.module || null,
+                missing: requires.filter((item, index) => dependencies[index].missing),
+                dependencies: dependencies,
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Check registered services for missing dependencies, cyclic dependencies and invalid lifecycles
+     * @return {string[]}                   Returns array of found problems
+     */
+    validate() {
+        let lifecycles = [ 'perRequest', 'unique', 'singleton', 'scoped', 'instance' ];
+        let graph = this.getGraph();
+        let problems = [];
+
+        for (let service of graph) {
+            if (service.lifecycle && lifecycles.indexOf(service.lifecycle) === -1)
+                problems.push(`Service '${service.provides}' has invalid lifecycle: ${service.lifecycle}`);
+            for (let item of service.missing)
+                problems.push(`Service '${service.provides}' requires missing service '${item}'`);
+        }
+
+        let cycles = new Set();
+        let visited = new Set();
+        let visit = (name, path) => {
+            let index = path.indexOf(name);
+            if (index !== -1) {
+                let cycle = path.slice(index);
+                let start = cycle.indexOf(cycle.slice().sort()[0]);
+                cycle = cycle.slice(start).concat(cycle.slice(0, start));
+                cycles.add(cycle.concat([ cycle[0] ]).join(' -> '));
+                return;
+            }
+            name = this._getServiceName(name);
+            if (visited.has(name) || !this._container.has(name))
+                return;
+
+            path.push(name);
+            for (let item of this._container.get(name).requires || []) {
+                let dependency = this._parseDependency(item);
+                if (!dependency.lazy && !dependency.factory) // these are resolved after construction
+                    visit(dependency.name, path);
+            }
+            path.pop();
+            visited.add(name);
+        };
+        for (let service of graph)
+            visit(service.provides, []);
+
+        for (let cycle of cycles)
+            problems.push(`Cyclic dependency: ${cycle}`);
+
+        return problems;
+    }
+
+    /**
+     * Dispose singletons created by the container in reverse order of their creation
+     * <br><br>
+     * Services may define .dispose() method returning a Promise or .destroy() method. Each of them is given static
+     * disposeTimeout ms of the service class (or of the app) to finish, but the whole process will not take longer than
+     * gracefulTimeout or the given deadline.
+     * @param {number} [deadline]           Timestamp by which everything should be disposed
+     * @return {Promise}
+     */
+    async dispose(deadline) {
+        for (let watcher of this._watchers)
+            watcher.close();
+        this._watchers = [];
+
+        let modules = [];
+        if (this.has('modules')) {
+            modules = Array.from(this.get('modules')).reverse().map(([ name, instance ]) => ({ name, instance }));
+            this.get('modules').clear();
+        }
+
+        let singletons = this._singletons.reverse();
+        this._singletons = [];
+
+        for (let { name, instance } of singletons) {
+            let service = this._container.get(name);
+            if (service && service.instance === instance)
+                delete service.instance;
+        }
+        singletons = singletons.filter(singleton => !modules.some(item => item.instance === singleton.instance));
+
+        if (!deadline && this.constructor.gracefulTimeout)
+            deadline = Date.now() + this.constructor.gracefulTimeout;
+
+        return this._disposeInstances(modules.concat(singletons), deadline);
+    }
+
     /**
      * Debug output
      * @param {...*} messages                           Messages
@@ -169,8 +542,10 @@ class App {
     /**
      * Run the app. This method will simply call .init() and then .start().
      * @param {object} [options]                            Arpen options
-     * @param {boolean} [options.cacheServices=true]        When true services cache will not be used
+     * @param {boolean} [options.cacheServices=false]       Cache the class map (not used when DEBUG is set)
      * @param {boolean] [options.interceptConsole=true]     Redirect console.log(), etc. to default logger
+     * @param {boolean} [options.validateServices=false]    Check dependencies of all the services before start
+     * @param {boolean} [options.hotReload=false]           Reload changed autoloaded files when DEBUG is set
      * @param {...*} args                                   Descendant class specific arguments
      * @return {Promise}
      */
@@ -180,6 +555,10 @@ class App {
             this.options.cacheServices = false;
         if (typeof this.options.interceptConsole === 'undefined')
             this.options.interceptConsole = true;
+        if (typeof this.options.validateServices === 'undefined')
+            this.options.validateServices = false;
+        if (typeof this.options.hotReload === 'undefined')
+            this.options.hotReload = false;
 
         try {
             await this.init(...args);
@@ -211,8 +590,11 @@ class App {
             process.exit(code);
         };
 
-        if (this.constructor.gracefulTimeout)
+        let deadline;
+        if (this.constructor.gracefulTimeout) {
+            deadline = Date.now() + this.constructor.gracefulTimeout;
             setTimeout(finish, this.constructor.gracefulTimeout);
+        }
 
         try {
             let args = this._startArgs || [];
@@ -221,6 +603,7 @@ class App {
             await this.error('Fatal: ' + (error.fullStack || error.stack || error.message || error));
         }
 
+        await this.dispose(deadline);
         await finish();
     }
 
@@ -246,7 +629,11 @@ class App {
         debug('Initializing the app');
         await this._initConfig();
         await this._initSources();
+        if (this.options.validateServices)
+            await this._validateServices();
         await this._initModules();
+        if (this.options.hotReload && process.env.DEBUG)
+            await this._initHotReload();
     }
 
     /**
@@ -276,27 +663,114 @@ class App {
      * @return {Promise}
      */
     async onSignal(signal) {
+        if (signal === 'SIGUSR2') {
+            if (!this.has('logger'))
+                return;
+
+            try {
+                let count = await this.get('logger').loadLevels();
+                await this.info(`Log levels reloaded (${count} rules)`);
+            } catch (error) {
+                await this.error('Log levels reload failed: ' + (error.fullStack || error.stack || error.message || error));
+            }
+            return;
+        }
+
         return this.exit(0, `Terminating due to ${signal} signal`);
     }
 
+    /**
+     * Load the configuration again and apply the changes to the config service in place. Changes of autoload and
+     * the list of modules require a restart and are ignored.
+     * <br><br>
+     * The diff is an array of key paths which were changed, added or removed, including all their parent keys (e.g.
+     * [ 'postgres', 'postgres.main', 'postgres.main.host' ]). Module keys are prefixed with 'modules.name.'.
+     * Singletons and registered instances having .onConfigChange(diff) method are notified, as well as the loaded
+     * classes of other services having static .onConfigChange(diff, app) method. A failure of one of them is logged and
+     * the rest are still notified.
+     * @return {Promise}                                Resolves to the diff
+     */
+    async reloadConfig() {
+        debug('Reloading configuration');
+        let config = this.get('config');
+        let updated = await this._loadConfig();
+        let ignored = [ 'base_path', 'env', 'autoload', 'modules', 'name', 'version', 'get' ];
+
+        let diff = [];
+        let apply = (target, source, prefix) => {
+            let result = [];
+            for (let key of new Set(Object.keys(target).concat(Object.keys(source)))) {
+                if (ignored.includes(key))
+                    continue;
+
+                let changed = this._diffConfig(target[key], source[key], prefix + key);
+                if (!changed.length)
+                    continue;
+
+                result = result.concat(changed);
+                if (typeof source[key] === 'undefined')
+                    delete target[key];
+                else
+                    target[key] = source[key];
+            }
+            if (this._diffConfig(target.autoload, source.autoload, 'autoload').length)
+                this.error(`Changes of ${prefix}autoload require a restart`).catch(() => {});
+            return result;
+        };
+
+        diff = diff.concat(apply(config, updated, ''));
+
+        let modules = [];
+        for (let [ name, moduleConfig ] of config.modules) {
+            if (!updated.modules.has(name))
+                continue;
+
+            let changed = apply(moduleConfig, updated.modules.get(name), `modules.${name}.`);
+            if (changed.length)
+                modules = modules.concat([ `modules.${name}` ], changed);
+        }
+        if (modules.length)
+            diff = diff.concat([ 'modules' ], modules);
+        if (config.modules.size !== updated.modules.size || Array.from(updated.modules.keys()).some(name => !config.modules.has(name)))
+            this.error('Changes of the list of modules require a restart').catch(() => {});
+
+        if (!diff.length)
+            return diff;
+
+        let instances = new Set();
+        for (let service of this._container.values()) {
+            try {
+                if (service.instance) {
+                    if (instances.has(service.instance))
+                        continue;
+
+                    instances.add(service.instance);
+                    if (typeof service.instance.onConfigChange === 'function') {
+                        debug(`Notifying ${service.provides} of configuration change`);
+                        await service.instance.onConfigChange(diff);
+                    }
+                } else if (service.class && typeof service.class.onConfigChange === 'function') {
+                    debug(`Notifying ${service.provides} class of configuration change`);
+                    await service.class.onConfigChange(diff, this);
+                }
+            } catch (error) {
+                await this.error(
+                    `Service ${service.provides} could not apply configuration change: ` +
+                    (error.fullStack || error.stack || error.message || error)
+                );
+            }
+        }
+
+        return diff;
+    }
+
     /**
      * Load the configuration
      * @return {Promise}
      */
     async _initConfig() {
         debug('Loading application configuration');
-        let [globalConf, localConf] = await Promise.all([
-            this.constructor._require(path.join(this.basePath, 'config', 'global.js')),
-            this.constructor._require(path.join(this.basePath, 'config', 'local.js'), {}),
-        ]);
-        if (typeof globalConf !== 'object')
-            throw new Error('Global config is not an object');
-        if (typeof localConf !== 'object')
-            throw new Error('Local config is not an object');
-
-        let modules = new Map();
-        let config = merge.recursive(true, globalConf, localConf);
-        config.base_path = this.basePath;
+        let config = await this._loadConfig();
         config.get = function (key) {
             return key.split('.').reduce((prev, cur) => {
                 if (!prev)
@@ -305,6 +779,19 @@ class App {
             }, this);
         };
         this.registerInstance(config, 'config');
+    }
+
+    /**
+     * Load and validate configuration of the app and its modules
+     * @return {Promise}                                Resolves to the configuration
+     */
+    async _loadConfig() {
+        let modules = new Map();
+        let required = new Map();
+        let config = this.constructor.loadConfig(this.basePath, { env: this.env });
+        await this._validateConfig(config, this.basePath);
+        config.base_path = this.basePath;
+        config.env = this.env || null;
 
         if (!config.autoload)
             config.autoload = [];
@@ -330,18 +817,25 @@ class App {
                 else if (cur[0] !== '/')
                     basePath = path.join(this.basePath, 'modules', cur);
 
-                let [globalConf, localConf] = await Promise.all([
-                    this.constructor._require(path.join(basePath, 'config', 'global.js'), {}),
-                    this.constructor._require(path.join(basePath, 'config', 'local.js'), {})
-                ]);
-
-                if (typeof globalConf !== 'object')
-                    throw new Error(`Global config is not an object (module: ${name})`);
-                if (typeof localConf !== 'object')
-                    throw new Error(`Local config is not an object (module: ${name})`);
+                let json = await this._readPackage(basePath);
+                let range = json.engines && json.engines.arpen;
+                if (range) {
+                    if (!semver.validRange(range))
+                        throw new Error(`Module ${name} has invalid arpen version range: ${range}`);
+                    if (!semver.satisfies(this.constructor.version, range)) {
+                        throw new Error(
+                            `Module ${name}` + (json.version ? ` v${json.version}` : '') + ` requires arpen ${range}, ` +
+                            `but v${this.constructor.version} is installed`
+                        );
+                    }
+                }
 
-                let moduleConfig = merge.recursive(true, globalConf, localConf);
+                let moduleConfig = this.constructor.loadConfig(basePath, { module: name, env: this.env });
+                await this._validateConfig(moduleConfig, basePath, name);
                 moduleConfig.base_path = basePath;
+                moduleConfig.name = json.name;
+                moduleConfig.version = json.version;
+                required.set(name, (json.arpen && json.arpen.modules) || []);
 
                 if (!moduleConfig.autoload)
                     moduleConfig.autoload = [];
@@ -353,18 +847,86 @@ class App {
             Promise.resolve()
         );
 
+        for (let [ name, dependencies ] of required) {
+            for (let dependency of dependencies) {
+                let dependencyName = ((dependency[0] === '~') ? dependency.slice(1) : dependency).split('/')[0];
+                if (!modules.has(dependencyName))
+                    throw new Error(`Module ${name} requires module ${dependency} which is not in config.modules`);
+            }
+        }
+
         config.modules = modules;
 
+        let json = await this._readPackage(config.base_path);
+        config.name = json.name;
+        config.version = json.version;
+
+        return config;
+    }
+
+    /**
+     * Read package.json
+     * @param {string} basePath             Directory of the package
+     * @return {Promise}                    Resolves to package info or empty object
+     */
+    async _readPackage(basePath) {
         let filer = new Filer();
-        let json;
         try {
-            let packageInfo = await filer.lockRead(path.join(config.base_path, 'package.json'));
-            json = JSON.parse(packageInfo);
+            let packageInfo = await filer.lockRead(path.join(basePath, 'package.json'));
+            return JSON.parse(packageInfo);
         } catch (error) {
-            json = {};
+            return {};
+        }
+    }
+
+    /**
+     * Compare two configuration values
+     * @param {*} prev                      Current value
+     * @param {*} next                      New value
+     * @param {string} key                  Key path of the value
+     * @return {string[]}                   Returns changed key paths including the parents
+     */
+    _diffConfig(prev, next, key) {
+        let isObject = value => {
+            return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+        };
+        let serialize = value => {
+            return (typeof value === 'function' || value instanceof RegExp) ? String(value) : JSON.stringify(value);
+        };
+
+        if (!isObject(prev) || !isObject(next))
+            return serialize(prev) === serialize(next) ? [] : [ key ];
+
+        let result = [];
+        for (let subkey of new Set(Object.keys(prev).concat(Object.keys(next))))
+            result = result.concat(this._diffConfig(prev[subkey], next[subkey], `${key}.${subkey}`));
+        if (result.length)
+            result.unshift(key);
+        return result;
+    }
+
+    /**
+     * Validate merged configuration against config/schema.js if it exists, applying the defaults of the schema
+     * @param {object} config               The configuration
+     * @param {string} basePath             Base path of the app or the module
+     * @param {string} [moduleName]         Name of the module
+     * @return {Promise}
+     */
+    async _validateConfig(config, basePath, moduleName) {
+        let filename = path.join(basePath, 'config', 'schema.js');
+        if (!await new Filer().exists(filename))
+            return;
+
+        delete require.cache[filename];
+        let schema = await this.constructor._require(filename);
+
+        debug(moduleName ? `Validating module ${moduleName} configuration` : 'Validating application configuration');
+        let errors = new Schema().validate(schema, config);
+        if (errors.length) {
+            throw new Error(
+                'Invalid configuration' + (moduleName ? ` (module: ${moduleName})` : '') + ':\n' + errors.join('\n')
+            );
         }
-        config.name = json.name;
-        config.version = json.version;
     }
 
     /**
@@ -375,18 +937,27 @@ class App {
         debug('Loading application sources');
         let filer = new Filer();
         let config = this.get('config');
-        this._mapFile = `${config.project}.${config.instance}.map.json`;
+        this._mapFile = path.join(
+            config.class_map_dir || this.constructor.classMapDir,
+            `${config.project}.${config.instance}.map.json`
+        );
 
         let cache = null;
+        let fingerprint = null;
         if (!process.env.DEBUG && this.options.cacheServices) {
+            fingerprint = await this._getSourcesFingerprint(config);
             try {
-                let contents = await filer.lockRead(path.join('/var/tmp', this._mapFile));
+                let contents = await filer.lockRead(this._mapFile);
                 cache = JSON.parse(contents.trim());
                 if (typeof cache !== 'object' || cache === null || cache.version !== config.version)
                     cache = null;
+                else if (cache.fingerprint !== fingerprint)
+                    cache = null;
             } catch (error) {
                 // do nothing
             }
+            if (!cache)
+                debug('Class map is missing or outdated');
         }
 
         if (cache) {
@@ -397,24 +968,29 @@ class App {
                 debug(`Preloading ${service.provides}`);
                 let obj = this._initService(service.provides, service.filename);
                 obj.requires = service.requires;
+                obj.lifecycle = service.lifecycle;
+                obj.module = service.module;
+                obj.tags = service.tags || [];
+                this._setAliases(obj, service.aliases || []);
             }
             return;
         }
 
-        await this._autoload(this.basePath, config.autoload);
+        await this._autoload(this.basePath, config.autoload, null);
 
         await Array.from(config.modules).reduce(
             async (prevModule, [ curModule, curConfig ]) => {
                 await prevModule;
 
                 debug(`Loading module ${curModule} sources`);
-                await this._autoload(curConfig.base_path, curConfig.autoload);
+                await this._autoload(curConfig.base_path, curConfig.autoload, curModule);
             },
             Promise.resolve()
         );
 
         let map = {
             version: config.version,
+            fingerprint: fingerprint,
             services: [],
         };
         for (let service of this._container.values()) {
@@ -425,13 +1001,17 @@ class App {
                 filename: service.filename,
                 provides: service.provides,
                 requires: service.requires || [],
+                lifecycle: service.lifecycle,
+                module: service.module,
+                tags: service.tags || [],
+                aliases: service.aliases || [],
             });
         }
 
         if (!process.env.DEBUG && this.options.cacheServices) {
             debug('Saving class map');
             try {
-                await filer.lockWrite(path.join('/var/tmp', this._mapFile), JSON.stringify(map, undefined, 4) + '\n');
+                await filer.lockWrite(this._mapFile, JSON.stringify(map, undefined, 4) + '\n');
             } catch (error) {
                 debug(error.messages || error.message);
             }
@@ -439,28 +1019,116 @@ class App {
     }
 
     /**
-     * Create modules
+     * Calculate hash of the names, sizes and modification times of the autoloaded files of the app and the modules
+     * @param {object} config               The configuration
+     * @return {Promise}                    Resolves to the hash
+     */
+    async _getSourcesFingerprint(config) {
+        let filer = new Filer();
+        let files = new Map();
+
+        let rules = this._getAutoloadRules(this.basePath, config.autoload, null);
+        for (let [ moduleName, moduleConfig ] of config.modules)
+            rules = rules.concat(this._getAutoloadRules(moduleConfig.base_path, moduleConfig.autoload, moduleName));
+
+        await rules.reduce(
+            async (prev, rule) => {
+                await prev;
+
+                await filer.process(
+                    rule.path,
+                    async filename => {
+                        if (files.has(filename) || !this._isAutoloaded(rule, filename, false))
+                            return true;
+
+                        let stats = await new Promise(resolve => {
+                            fs.stat(filename, (error, stats) => {
+                                resolve(error ? null : stats);
+                            });
+                        });
+                        if (stats)
+                            files.set(filename, `${filename}:${stats.size}:${stats.mtime.getTime()}`);
+                        return true;
+                    },
+                    async dirname => {
+                        return this._isAutoloaded(rule, dirname, true);
+                    }
+                );
+            },
+            Promise.resolve()
+        );
+
+        let hash = crypto.createHash('sha1');
+        hash.update(Array.from(files.values()).sort().join('\n'));
+        return hash.digest('hex');
+    }
+
+    /**
+     * Validate the services
+     * @return {Promise}
+     */
+    async _validateServices() {
+        debug('Validating services');
+        let problems = this.validate();
+        if (problems.length)
+            throw new Error('Invalid services:\n' + problems.join('\n'));
+    }
+
+    /**
+     * Create modules. Modules are stored in 'modules' service in the order of their dependencies. Its packages
+     * property is a Map of { module, name, version } objects (module name in config and package.json info) by
+     * the same keys.
      * @return {Promise}
      */
     async _initModules() {
         let modules = new Map();
+        modules.packages = new Map();
         this.registerInstance(modules, 'modules');
 
-        for (let name of this.search(/^modules\.[^.]+$/))
-            modules.set(name, this.get(name));
+        let config = this.has('config') ? this.get('config') : {};
+        let instances = await this.getAsync(/^modules\.[^.]+$/);
+        for (let name of this._sortModules(Array.from(instances.keys()))) {
+            modules.set(name, instances.get(name));
+
+            let service = this._container.get(name);
+            let moduleName = (service && service.module) || null;
+            let moduleConfig = (moduleName && config.modules instanceof Map && config.modules.get(moduleName)) || {};
+            modules.packages.set(name, {
+                module: moduleName,
+                name: moduleConfig.name || null,
+                version: moduleConfig.version || null,
+            });
+        }
 
-        await Array.from(modules.keys()).reduce(
-            async (prev, cur) => {
+        await this._callModules('bootstrap', false);
+    }
+
+    /**
+     * Call a lifecycle method of every module which has it, in the order of the dependencies
+     * @param {string} method               Method name: bootstrap, register, start or stop
+     * @param {boolean} reverse             Dependants go first (for stopping)
+     * @param {...*} args                   Arguments of the method
+     * @return {Promise}
+     */
+    async _callModules(method, reverse, ...args) {
+        if (!this.has('modules'))
+            return;
+
+        let modules = Array.from(this.get('modules'));
+        if (reverse)
+            modules.reverse();
+
+        await modules.reduce(
+            async (prev, [ name, _module ]) => {
                 await prev;
 
-                let _module = modules.get(cur);
-                if (typeof _module.bootstrap !== 'function')
+                if (typeof _module[method] !== 'function')
                     return;
 
-                debug(`Bootstrapping module '${cur}'`);
-                let result = _module.bootstrap();
+                debug(`Calling ${method}() of module '${name}'`);
+                let result = _module[method](...args);
                 if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
-                    throw new Error(`Module '${cur}' bootstrap() did not return a Promise`);
+                    throw new Error(`Module '${name}' ${method}() did not return a Promise`);
                 return result;
             },
             Promise.resolve()
@@ -468,10 +1136,200 @@ class App {
     }
 
     /**
-     * Initialize as empty and return the item of service container, adding new one if it does not exist yet
-     * @param {string} name                 Name of the service
-     * @param {string} [filename]           Path to the class
-     * @return {object}                     Returns service object
+     * Sort modules topologically. Module class can define static dependsOn (modules which must exist) and after
+     * (modules which are used if present) arrays of module names, with or without 'modules.' prefix.
+     * @param {string[]} names              Service names of the modules
+     * @return {string[]}                   Returns the names with dependencies preceding dependants
+     */
+    _sortModules(names) {
+        let normalize = name => (name.startsWith('modules.') ? name : `modules.${name}`);
+
+        let dependencies = new Map();
+        for (let name of names) {
+            let service = this._container.get(name);
+            let dependsOn = (service && service.class && service.class.dependsOn) || [];
+            let after = (service && service.class && service.class.after) || [];
+
+            for (let dependency of dependsOn) {
+                if (!names.includes(normalize(dependency)))
+                    throw new Error(`Module '${name}' depends on missing module '${dependency}'`);
+            }
+
+            dependencies.set(
+                name,
+                dependsOn.map(normalize).concat(after.map(normalize).filter(dependency => names.includes(dependency)))
+            );
+        }
+
+        let sorted = [];
+        let visiting = [];
+        let visit = name => {
+            if (sorted.includes(name))
+                return;
+
+            let index = visiting.indexOf(name);
+            if (index !== -1)
+                throw new Error(`Cyclic module dependency: ${visiting.slice(index).concat([ name ]).join(' -> ')}`);
+
+            visiting.push(name);
+            for (let dependency of dependencies.get(name))
+                visit(dependency);
+            visiting.pop();
+            sorted.push(name);
+        };
+        for (let name of names)
+            visit(name);
+
+        return sorted;
+    }
+
+    /**
+     * Watch autoloaded directories and reload changed files
+     * @return {Promise}
+     */
+    async _initHotReload() {
+        debug('Watching autoloaded files');
+        let filer = new Filer();
+        let timers = new Map();
+
+        let watch = (filename, rule, isDir) => {
+            try {
+                let watcher = fs.watch(filename, (eventType, name) => {
+                    let changed = isDir ? (name && path.join(filename, name)) : filename;
+                    if (!changed || !this._isAutoloaded(rule, changed, false))
+                        return;
+
+                    if (timers.has(changed))
+                        clearTimeout(timers.get(changed));
+                    timers.set(changed, setTimeout(() => {
+                        timers.delete(changed);
+                        this._reloadFile(changed, rule)
+                            .catch(error => {
+                                return this.error(`Reloading ${changed}: ` + (error.fullStack || error.stack || error.message || error));
+                            });
+                    }, this.constructor.hotReloadDelay));
+                });
+                this._watchers.push(watcher);
+            } catch (error) {
+                debug(`Could not watch ${filename}: ${error.message}`);
+            }
+        };
+
+        await this._autoloadPaths.reduce(
+            async (prev, cur) => {
+                await prev;
+
+                let stats = await new Promise(resolve => {
+                    fs.stat(cur.path, (error, stats) => resolve(error ? null : stats));
+                });
+                if (!stats)
+                    return;
+
+                if (!stats.isDirectory())
+                    return watch(cur.path, cur, false);
+
+                watch(cur.path, cur, true);
+                await filer.process(
+                    cur.path,
+                    null,
+                    async dirname => {
+                        if (!this._isAutoloaded(cur, dirname, true))
+                            return false;
+
+                        watch(dirname, cur, true);
+                        return true;
+                    }
+                );
+            },
+            Promise.resolve()
+        );
+    }
+
+    /**
+     * Reload the class file and drop the singletons which depend on it
+     * @param {string} filename             Path of the file
+     * @param {object} rule                 Autoload rule of the file
+     * @return {Promise}
+     */
+    async _reloadFile(filename, rule) {
+        let previous = Array.from(this._container.values()).find(service => service.filename === filename);
+
+        delete require.cache[filename];
+        let obj = null;
+        if (await new Filer().exists(filename))
+            obj = await this.constructor._require(filename);
+
+        let names = new Set();
+        if (previous)
+            names.add(previous.provides);
+
+        if (obj && obj.provides && this._isAutoloadedService(rule, obj)) {
+            if (previous && previous.provides !== obj.provides)
+                this._container.delete(previous.provides);
+
+            try {
+                let name = this.registerClass(obj, filename);
+                if (rule.module)
+                    this._container.get(name).module = rule.module;
+                names.add(name);
+            } catch (error) {
+                throw new NError(error, `Registering ${filename}`);
+            }
+        } else if (previous) {
+            this._initService(previous.provides);
+            this._container.delete(previous.provides);
+        }
+
+        if (!names.size)
+            return;
+
+        let dropped = this._dropDependants(names);
+        await this.debug(`Reloaded ${filename}` + (dropped.length ? ` (dropped ${dropped.map(item => item.name).join(', ')})` : ''));
+        await this._disposeInstances(dropped.reverse());
+    }
+
+    /**
+     * Forget singleton instances depending on the given services directly or indirectly
+     * @param {Set} names                   Service names
+     * @return {Array}                      Returns array of { name, instance } of dropped singletons
+     */
+    _dropDependants(names) {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let [name, service] of this._container) {
+                if (names.has(name))
+                    continue;
+
+                for (let item of service.requires || []) {
+                    if (names.has(this._getServiceName(this._parseDependency(item).name))) {
+                        names.add(name);
+                        changed = true;
+                        break;
+                    }
+                }
+            }
+        }
+
+        let dropped = [];
+        this._singletons = this._singletons.filter(item => {
+            if (!names.has(item.name))
+                return true;
+
+            let service = this._container.get(item.name);
+            if (service && service.instance === item.instance)
+                delete service.instance;
+            dropped.push(item);
+            return false;
+        });
+        return dropped;
+    }
+
+    /**
+     * Initialize as empty and return the item of service container, adding new one if it does not exist yet
+     * @param {string} name                 Name of the service
+     * @param {string} [filename]           Path to the class
+     * @return {object}                     Returns service object
      */
     _initService(name, filename) {
         if (name[name.length - 1] === '?')
@@ -485,10 +1343,20 @@ class App {
             this._container.set(name, service);
         }
 
+        for (let alias of service.aliases || []) {
+            if (this._aliases.get(alias) === name)
+                this._aliases.delete(alias);
+        }
+
         delete service.instance;
+        delete service.pending;
         delete service.class;
         service.provides = name;
         delete service.requires;
+        delete service.lifecycle;
+        delete service.module;
+        delete service.tags;
+        delete service.aliases;
         if (filename)
             service.filename = filename;
         else
@@ -497,50 +1365,173 @@ class App {
         return service;
     }
 
+    /**
+     * Register aliases of the service
+     * @param {object} service              Service object
+     * @param {string[]} aliases            The aliases
+     */
+    _setAliases(service, aliases) {
+        for (let alias of aliases) {
+            if (this._container.has(alias))
+                throw new Error(`Alias '${alias}' of '${service.provides}' is a name of another service`);
+            this._aliases.set(alias, service.provides);
+        }
+        service.aliases = aliases;
+    }
+
+    /**
+     * Get name of the service by its name or alias
+     * @param {string} name                 Name or alias
+     * @return {string}                     Returns name of the service
+     */
+    _getServiceName(name) {
+        if (!this._container.has(name) && this._aliases.has(name))
+            return this._aliases.get(name);
+        return name;
+    }
+
+    /**
+     * Resolve service name, RegExp of names or array of names
+     * @param {string|RegExp|string[]} name Service name, RegExp of names or array of names
+     * @param {Array} extra                 Extra constructor arguments
+     * @param {Scope} [scope]               Scope of the request
+     * @return {object|Map}                 Returns instance or Map of instances in case of RegExp or array
+     */
+    _get(name, extra, scope) {
+        if (typeof name === 'string')
+            return this._resolveService(name, extra, new Map(), scope);
+
+        let result = new Map();
+        let request = new Map();
+        (Array.isArray(name) ? name : this.search(name)).map(item => result.set(item, this._resolveService(item, extra, request, scope)));
+        return result;
+    }
+
+    /**
+     * Resolve service name, RegExp of names or array of names asynchronously
+     * @param {string|RegExp|string[]} name Service name, RegExp of names or array of names
+     * @param {Array} extra                 Extra constructor arguments
+     * @param {Scope} [scope]               Scope of the request
+     * @return {Promise}                    Resolves to instance or Map of instances in case of RegExp or array
+     */
+    async _getAsync(name, extra, scope) {
+        if (typeof name === 'string')
+            return this._resolveServiceAsync(name, extra, new Map(), scope);
+
+        let result = new Map();
+        let request = new Map();
+        await (Array.isArray(name) ? name : this.search(name)).reduce(
+            async (prev, cur) => {
+                await prev;
+                result.set(cur, await this._resolveServiceAsync(cur, extra, request, scope));
+            },
+            Promise.resolve()
+        );
+        return result;
+    }
+
     /**
      * Resolve dependencies and return an instance of a service
      * @param {string} name                 Service name
      * @param {Array} extra                 Extra constructor arguments
      * @param {Map} request                 Resolved dependencies
+     * @param {Scope} [scope]               Scope of the request
      * @return {object}                     Returns instance of the service
      */
-    _resolveService(name, extra, request) {
-        let mustExist = true;
-        if (name[name.length - 1] === '?') {
-            name = name.slice(0, -1);
-            mustExist = false;
+    _resolveService(name, extra, request, scope) {
+        let dependency = this._parseDependency(name);
+        name = dependency.name;
+
+        name = this._getServiceName(name);
+        let isScoped = !!scope && scope._instances.has(name);
+        if (!isScoped && !this._container.has(name)) {
+            if (!dependency.optional)
+                throw new Error(`No service was found: ${name}`);
+            return undefined;
         }
 
-        if (!this._container.has(name)) {
-            if (mustExist)
+        if (dependency.factory)
+            return this._createFactory(name, scope);
+        if (dependency.lazy)
+            return this._createLazyProxy(name, scope);
+
+        if (isScoped)
+            return scope._instances.get(name);
+
+        let service = this._container.get(name);
+        if (service.instance)
+            return service.instance;
+
+        let instance;
+        if (request.has(name)) { // already resolved
+            instance = request.get(name);
+        } else {
+            request.set(name, null); // mark as visited but not resolved yet
+            instance = this._instantiateClass(service, extra, request, scope);
+            this._storeInstance(service, instance, request, scope);
+        }
+
+        if (!instance)
+            throw new Error(`Cyclic dependency while resolving '${name}'`);
+
+        return instance;
+    }
+
+    /**
+     * Resolve dependencies and return an instance of a service awaiting its initialization
+     * @param {string} name                 Service name
+     * @param {Array} extra                 Extra constructor arguments
+     * @param {Map} request                 Resolved dependencies
+     * @param {Scope} [scope]               Scope of the request
+     * @return {Promise}                    Resolves to instance of the service
+     */
+    async _resolveServiceAsync(name, extra, request, scope) {
+        let dependency = this._parseDependency(name);
+        name = dependency.name;
+
+        name = this._getServiceName(name);
+        let isScoped = !!scope && scope._instances.has(name);
+        if (!isScoped && !this._container.has(name)) {
+            if (!dependency.optional)
                 throw new Error(`No service was found: ${name}`);
             return undefined;
         }
 
+        if (dependency.factory)
+            return this._createFactory(name, scope);
+        if (dependency.lazy)
+            return this._createLazyProxy(name, scope);
+
+        if (isScoped)
+            return scope._instances.get(name);
+
         let service = this._container.get(name);
         if (service.instance)
             return service.instance;
 
+        let pending = service.pending || (scope && scope._pending.get(name));
+
         let instance;
         if (request.has(name)) { // already resolved
             instance = request.get(name);
+        } else if (pending) { // singleton or scoped service is being initialized by another request
+            instance = await pending;
         } else {
             request.set(name, null); // mark as visited but not resolved yet
-            instance = this._instantiateClass(service, extra, request);
-            switch (service.class.lifecycle || 'perRequest') {
-                case 'perRequest':
-                    request.set(name, instance);
-                    break;
-                case 'unique':
-                    request.delete(name);
-                    break;
-                case 'singleton':
-                    service.instance = instance;
-                    request.delete(name);
-                    break;
-                default:
-                    throw new Error(`Service '${name}' has invalid lifecycle: ${service.class.lifecycle}`);
+            let ClassFunc = this._loadClass(service);
+            let promise = this._instantiateClassAsync(service, extra, request, scope);
+            if (ClassFunc.lifecycle === 'singleton')
+                service.pending = promise;
+            else if (ClassFunc.lifecycle === 'scoped' && scope)
+                scope._pending.set(name, promise);
+            try {
+                instance = await promise;
+            } finally {
+                delete service.pending;
+                if (scope)
+                    scope._pending.delete(name);
             }
+            this._storeInstance(service, instance, request, scope);
         }
 
         if (!instance)
@@ -549,22 +1540,243 @@ class App {
         return instance;
     }
 
+    /**
+     * Parse dependency name with modifiers: 'name?' is optional, 'name!lazy' is resolved on first access, 'name*' is
+     * a factory of the service
+     * @param {string} item                 Dependency as in requires
+     * @return {object}                     Returns { name, optional, lazy, factory }
+     */
+    _parseDependency(item) {
+        let result = { name: item, optional: false, lazy: false, factory: false };
+        for (;;) {
+            if (result.name[result.name.length - 1] === '?') {
+                result.optional = true;
+                result.name = result.name.slice(0, -1);
+            } else if (result.name[result.name.length - 1] === '*') {
+                result.factory = true;
+                result.name = result.name.slice(0, -1);
+            } else if (result.name.endsWith('!lazy')) {
+                result.lazy = true;
+                result.name = result.name.slice(0, -5);
+            } else {
+                break;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Create a factory function of the service. Calling it with extra constructor arguments is the same as calling
+     * .get() of the app (or the scope) with them, its .async() method is the same as .getAsync()
+     * @param {string} name                 Service name
+     * @param {Scope} [scope]               Scope of the request
+     * @return {function}                   Returns the factory
+     */
+    _createFactory(name, scope) {
+        let target = scope || this;
+        let factory = (...extra) => {
+            return target.get(name, ...extra);
+        };
+        factory.async = async (...extra) => {
+            return target.getAsync(name, ...extra);
+        };
+        return factory;
+    }
+
+    /**
+     * Create a proxy which resolves the service on first access to it. Services requiring asynchronous initialization
+     * can not be resolved this way.
+     * @param {string} name                 Service name
+     * @param {Scope} [scope]               Scope of the request
+     * @return {object}                     Returns the proxy
+     */
+    _createLazyProxy(name, scope) {
+        let instance;
+        let resolve = () => {
+            if (!instance) {
+                debug(`Resolving lazy dependency '${name}'`);
+                instance = scope ? scope.get(name) : this.get(name);
+            }
+            return instance;
+        };
+
+        return new Proxy({}, {
+            get: (target, property) => {
+                let value = resolve()[property];
+                if (typeof value === 'function' && property !== 'constructor')
+                    return value.bind(instance);
+                return value;
+            },
+            set: (target, property, value) => {
+                resolve()[property] = value;
+                return true;
+            },
+            has: (target, property) => {
+                return property in resolve();
+            },
+            deleteProperty: (target, property) => {
+                return delete resolve()[property];
+            },
+            getPrototypeOf: target => {
+                return Object.getPrototypeOf(resolve());
+            },
+            ownKeys: target => {
+                return Reflect.ownKeys(resolve());
+            },
+            getOwnPropertyDescriptor: (target, property) => {
+                let descriptor = Object.getOwnPropertyDescriptor(resolve(), property);
+                if (descriptor)
+                    descriptor.configurable = true; // the target has no such property, so it must be configurable
+                return descriptor;
+            },
+        });
+    }
+
+    /**
+     * Save created instance according to the lifecycle of the service
+     * @param {object} service              Service object
+     * @param {object} instance             Instance of the service
+     * @param {Map} request                 Resolved dependencies
+     * @param {Scope} [scope]               Scope of the request
+     */
+    _storeInstance(service, instance, request, scope) {
+        let name = service.provides;
+        switch (service.class.lifecycle || 'perRequest') {
+            case 'perRequest':
+                request.set(name, instance);
+                break;
+            case 'unique':
+                request.delete(name);
+                break;
+            case 'scoped':
+                scope._instances.set(name, instance);
+                scope._created.push({ name, instance });
+                request.delete(name);
+                break;
+            case 'singleton':
+                service.instance = instance;
+                this._singletons.push({ name, instance });
+                request.delete(name);
+                break;
+            default:
+                throw new Error(`Service '${name}' has invalid lifecycle: ${service.class.lifecycle}`);
+        }
+    }
+
+    /**
+     * Get the scope for resolving dependencies of a service. Singletons never receive scoped dependencies.
+     * @param {object} service              Service object
+     * @param {Scope} [scope]               Scope of the request
+     * @return {Scope|undefined}            Returns scope of dependencies
+     */
+    _getDependencyScope(service, scope) {
+        switch (service.class.lifecycle) {
+            case 'scoped':
+                if (!scope)
+                    throw new Error(`Service '${service.provides}' is scoped and can only be retrieved from a scope`);
+                break;
+            case 'singleton':
+                return undefined;
+        }
+        return scope;
+    }
+
     /**
      * Instantiate given service class
      * @param {object} service              Service object
      * @param {Array} extra                 Extra constructor arguments
      * @param {Map} request                 Resolved dependencies
+     * @param {Scope} [scope]               Scope of the request
      * @return {object}                     Returns instance of the class
      */
-    _instantiateClass(service, extra, request) {
+    _instantiateClass(service, extra, request, scope) {
+        let ClassFunc = this._loadClass(service);
+        if (this._isAsyncClass(ClassFunc))
+            throw new Error(`Service '${service.provides}' requires asynchronous initialization, use getAsync()`);
+
+        scope = this._getDependencyScope(service, scope);
+
         let args = [];
         for (let arg of service.requires || [])
-            args.push(this._resolveService(arg, [], request));
+            args.push(this._resolveService(arg, [], request, scope));
+        args = args.concat(extra);
+
+        return this._intercept(service.provides, new ClassFunc(...args));
+    }
+
+    /**
+     * Instantiate given service class and await its initialization
+     * @param {object} service              Service object
+     * @param {Array} extra                 Extra constructor arguments
+     * @param {Map} request                 Resolved dependencies
+     * @param {Scope} [scope]               Scope of the request
+     * @return {Promise}                    Resolves to initialized instance of the class
+     */
+    async _instantiateClassAsync(service, extra, request, scope) {
+        this._loadClass(service);
+        scope = this._getDependencyScope(service, scope);
+
+        let args = [];
+        await (service.requires || []).reduce(
+            async (prev, cur) => {
+                await prev;
+                args.push(await this._resolveServiceAsync(cur, [], request, scope));
+            },
+            Promise.resolve()
+        );
         args = args.concat(extra);
 
         let ClassFunc = service.class;
-        if (ClassFunc)
-            return new ClassFunc(...args);
+        try {
+            let instance;
+            if (typeof ClassFunc.create === 'function') {
+                let result = ClassFunc.create(...args);
+                if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
+                    throw new Error(`Service '${service.provides}' create() did not return a Promise`);
+                instance = await result;
+            } else {
+                instance = new ClassFunc(...args);
+            }
+
+            if (this._isAsyncClass(ClassFunc) && instance && typeof instance.initialize === 'function') {
+                let result = instance.initialize();
+                if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
+                    throw new Error(`Service '${service.provides}' initialize() did not return a Promise`);
+                await result;
+            }
+
+            return this._intercept(service.provides, instance);
+        } catch (error) {
+            throw new NError(error, `Initializing ${service.provides}`);
+        }
+    }
+
+    /**
+     * Apply registered interceptors to the instance
+     * @param {string} name                 Service name
+     * @param {object} instance             Instance of the service
+     * @return {object}                     Returns decorated instance
+     */
+    _intercept(name, instance) {
+        for (let item of this._interceptors) {
+            if (typeof item.name === 'string' ? item.name !== name : !item.name.test(name))
+                continue;
+
+            let result = item.interceptor(instance, name);
+            if (result)
+                instance = result;
+        }
+        return instance;
+    }
+
+    /**
+     * Get class function of the service loading its file if needed
+     * @param {object} service              Service object
+     * @return {function}                   Returns class function
+     */
+    _loadClass(service) {
+        if (service.class)
+            return service.class;
 
         if (!service.filename)
             throw new Error(`No class function and no filename for ${service.provides}`);
@@ -573,8 +1785,67 @@ class App {
         if (obj.provides !== service.provides)
             throw new Error(`Invalid file detected when loading ${service.provides}`);
 
-        ClassFunc = service.class = obj;
-        return new ClassFunc(...args);
+        service.class = obj;
+        return obj;
+    }
+
+    /**
+     * Check if the class requires asynchronous initialization: it has static create() factory or static async getter
+     * set to true. Method initialize() alone is not enough as this common name may mean something else.
+     * @param {function} classFunc          Class function
+     * @return {boolean}
+     */
+    _isAsyncClass(classFunc) {
+        return typeof classFunc.create === 'function' || classFunc.async === true;
+    }
+
+    /**
+     * Call .dispose() (or .destroy()) of the given instances in the given order
+     * @param {Array} instances             Array of { name, instance } objects
+     * @param {number} [deadline]           Timestamp by which everything should be disposed
+     * @return {Promise}
+     */
+    async _disposeInstances(instances, deadline) {
+        await instances.reduce(
+            async (prev, { name, instance }) => {
+                await prev;
+
+                let method;
+                if (typeof instance.dispose === 'function')
+                    method = 'dispose';
+                else if (typeof instance.destroy === 'function')
+                    method = 'destroy';
+                else
+                    return;
+
+                let service = this._container.get(name);
+                let timeout = (service && service.class && service.class.disposeTimeout) || this.constructor.disposeTimeout;
+                if (deadline)
+                    timeout = Math.max(0, Math.min(timeout, deadline - Date.now()));
+
+                debug(`Disposing service '${name}'`);
+                let timer;
+                try {
+                    let result = instance[method]();
+                    let isPromise = (result !== null && typeof result === 'object' && typeof result.then === 'function');
+                    if (method === 'dispose' && !isPromise)
+                        throw new Error(`Service '${name}' dispose() did not return a Promise`);
+
+                    await Promise.race([
+                        Promise.resolve(result),
+                        new Promise((resolve, reject) => {
+                            timer = setTimeout(() => reject(new Error('Timeout exceeded')), timeout);
+                        }),
+                    ]);
+                } catch (error) {
+                    await this.error(`Disposing ${name}: ` + (error.fullStack || error.stack || error.message || error));
+                } finally {
+                    if (timer)
+                        clearTimeout(timer);
+                }
+            },
+            Promise.resolve()
+        );
     }
 
     /**
@@ -604,43 +1875,33 @@ class App {
     /**
      * Load given directories
      * @param {string} basePath             Base path
-     * @param {string[]} dirs               Directories
+     * @param {Array} dirs                  Autoload config entries
+     * @param {string|null} moduleName      Name of the module or null for the app
      * @return {Promise}
      */
-    async _autoload(basePath, dirs) {
+    async _autoload(basePath, dirs, moduleName) {
         let filer = new Filer();
         let loadFiles = new Map();
-        let ignoreFiles = new Set();
 
-        await dirs.reduce(
-            async (prev, cur) => {
+        await this._getAutoloadRules(basePath, dirs, moduleName).reduce(
+            async (prev, rule) => {
                 await prev;
 
-                let ignore = false;
-                if (cur[0] === '!') {
-                    ignore = true;
-                    cur = cur.slice(1);
-                }
-
-                let file = cur;
-                if (cur[0] === '~')
-                    file = path.join(basePath, 'node_modules', cur.slice(1));
-                else if (cur[0] !== '/')
-                    file = path.join(basePath, cur);
-
+                this._autoloadPaths.push(rule);
                 await filer.process(
-                    file,
+                    rule.path,
                     async filename => {
-                        let obj = await this.constructor._require(filename);
-                        if (!obj.provides)
+                        if (loadFiles.has(filename) || !this._isAutoloaded(rule, filename, false))
                             return true;
 
-                        if (ignore)
-                            ignoreFiles.add(filename);
-                        else if (!ignoreFiles.has(filename))
+                        let obj = await this.constructor._require(filename);
+                        if (obj && obj.provides && this._isAutoloadedService(rule, obj))
                             loadFiles.set(filename, obj);
 
                         return true;
+                    },
+                    async dirname => {
+                        return this._isAutoloaded(rule, dirname, true);
                     }
                 );
             },
@@ -652,7 +1913,9 @@ class App {
                 await prev;
 
                 try {
-                    this.registerClass(curObj, curName);
+                    let name = this.registerClass(curObj, curName);
+                    if (moduleName)
+                        this._container.get(name).module = moduleName;
                 } catch (error) {
                     throw new NError(error, `Registering ${curName}`);
                 }
@@ -661,6 +1924,197 @@ class App {
         );
     }
 
+    /**
+     * Parse autoload config entries. Entry is a path or a glob pattern, optionally prefixed with '~' (relative to
+     * node_modules) and '!' (exclude), or an object { path, provides } where provides is a prefix or an array of
+     * prefixes of the names of the services to load.
+     * @param {string} basePath             Base path
+     * @param {Array} entries               Autoload config entries
+     * @param {string|null} moduleName      Name of the module or null for the app
+     * @return {object[]}                   Returns array of { path, pattern, provides, module, exclude } rules,
+     *                                      exclude is array of { path, pattern } shared by all the rules
+     */
+    _getAutoloadRules(basePath, entries, moduleName) {
+        let rules = [];
+        let exclude = [];
+        let isGlob = segment => /[*?[\]{}]/.test(segment);
+
+        for (let entry of entries) {
+            let provides = null;
+            if (entry && typeof entry === 'object') {
+                if (entry.provides)
+                    provides = Array.isArray(entry.provides) ? entry.provides : [ entry.provides ];
+                entry = entry.path;
+            }
+            if (typeof entry !== 'string' || !entry.length)
+                throw new Error('Invalid autoload entry: ' + JSON.stringify(entry) + (moduleName ? ` (module: ${moduleName})` : ''));
+
+            let ignore = false;
+            if (entry[0] === '!') {
+                ignore = true;
+                entry = entry.slice(1);
+            }
+
+            let file = entry;
+            if (entry[0] === '~')
+                file = path.join(basePath, 'node_modules', entry.slice(1));
+            else if (entry[0] !== '/')
+                file = path.join(basePath, entry);
+
+            let root = file;
+            let pattern = null;
+            if (isGlob(file)) {
+                let segments = file.split('/');
+                root = segments.slice(0, segments.findIndex(isGlob)).join('/') || '/';
+                pattern = file;
+            }
+
+            if (ignore)
+                exclude.push({ path: root, pattern });
+            else
+                rules.push({ path: root, pattern, provides, module: moduleName, exclude });
+        }
+
+        return rules;
+    }
+
+    /**
+     * Check if file or directory (for descending into it) should be autoloaded by the rule
+     * @param {object} rule                 The rule
+     * @param {string} filename             Path of the file or directory
+     * @param {boolean} isDir               It is a directory
+     * @return {boolean}
+     */
+    _isAutoloaded(rule, filename, isDir) {
+        if (!isDir && path.extname(filename) !== '.js')
+            return false;
+
+        let options = { dot: true };
+        let relative = path.relative(rule.path, filename);
+        if (relative && this.constructor.autoloadExclude.some(glob => minimatch(isDir ? relative + '/' : relative, glob, options)))
+            return false;
+
+        if (!isDir && rule.pattern && !minimatch(filename, rule.pattern, options))
+            return false;
+
+        return !rule.exclude.some(item => {
+            if (item.pattern)
+                return minimatch(isDir ? filename + '/' : filename, item.pattern, options);
+            return filename === item.path || filename.startsWith(item.path + path.sep);
+        });
+    }
+
+    /**
+     * Check if the class passes provides filter of the rule
+     * @param {object} rule                 The rule
+     * @param {function} classFunc          The class
+     * @return {boolean}
+     */
+    _isAutoloadedService(rule, classFunc) {
+        return !rule.provides || rule.provides.some(prefix => classFunc.provides.startsWith(prefix));
+    }
+
+    /**
+     * Override configuration with environment variables
+     * @param {object} config               The configuration
+     * @param {string} prefix               Variable name prefix
+     * @param {object} env                  Environment variables
+     * @param {object} [schema]             Configuration schema
+     */
+    static _applyEnvironment(config, prefix, env, schema) {
+        for (let name of Object.keys(env).sort()) {
+            if (!name.startsWith(prefix) || (prefix === this.envPrefix && name.startsWith(prefix + 'MODULES__')))
+                continue;
+
+            let key = name.slice(prefix.length);
+            let value = env[name];
+            if (/_FILE$/.test(key)) {
+                key = key.slice(0, -5);
+                try {
+                    value = fs.readFileSync(value, 'utf8').replace(/\r?\n$/, '');
+                } catch (error) {
+                    throw new NError(error, `Could not read ${value} (${name})`);
+                }
+            }
+
+            let segments = key.split('__');
+            if (segments.some(segment => !segment.length))
+                continue;
+
+            debug(`Overriding config with ${name}`);
+            let target = config;
+            let targetSchema = schema;
+            for (let i = 0; i < segments.length; i++) {
+                let segment = Object.keys(target).find(item => item.toLowerCase() === segments[i].toLowerCase()) ||
+                    segments[i].toLowerCase();
+                targetSchema = this._getSchemaProperty(targetSchema, segment);
+
+                if (i === segments.length - 1) {
+                    try {
+                        target[segment] = this._parseEnvironmentValue(value, target[segment], targetSchema);
+                    } catch (error) {
+                        throw new NError(error, `Invalid value of ${name}`);
+                    }
+                } else {
+                    if (target[segment] === null || typeof target[segment] !== 'object')
+                        target[segment] = {};
+                    target = target[segment];
+                }
+            }
+        }
+    }
+
+    /**
+     * Get schema of a key of an object
+     * @param {object|null} schema          Schema of the object
+     * @param {string} key                  The key
+     * @return {object|null}                Returns schema of the key if known
+     */
+    static _getSchemaProperty(schema, key) {
+        if (!schema || typeof schema !== 'object')
+            return null;
+        if (schema.properties && schema.properties[key])
+            return schema.properties[key];
+        if (schema.additionalProperties && typeof schema.additionalProperties === 'object')
+            return schema.additionalProperties;
+        return null;
+    }
+
+    /**
+     * Convert environment variable to the type of the value it overrides, or to the type of the schema when there is
+     * no such value
+     * @param {string} value                Variable value
+     * @param {*} previous                  Current config value
+     * @param {object|null} [schema]        Schema of the value
+     * @return {*}                          Returns new config value
+     */
+    static _parseEnvironmentValue(value, previous, schema) {
+        let type = typeof previous;
+        if (type === 'undefined' && schema && schema.type) {
+            let types = Array.isArray(schema.type) ? schema.type : [ schema.type ];
+            if (!types.includes('string') && !types.includes('any')) {
+                type = types[0];
+                if (type === 'integer')
+                    type = 'number';
+                else if (type === 'array')
+                    type = 'object';
+            }
+        }
+
+        switch (type) {
+            case 'number':
+                if (!value.trim().length || isNaN(Number(value)))
+                    throw new Error(`Not a number: ${value}`);
+                return Number(value);
+            case 'boolean':
+                return [ 'true', 'yes', 'on', '1' ].includes(value.toLowerCase());
+            case 'object':
+                if (previous !== null)
+                    return JSON.parse(value);
+        }
+        return value;
+    }
+
     /**
      * Load js file
      * @param {string} filename             Path of the file
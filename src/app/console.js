@@ -10,7 +10,7 @@ const App = require('./base');
  * Console application class
  * <br><br>
  * This implementation will get command name from argv[0], convert dashed to camel case, resolve
- * 'commands.<command-name>' as the command class and invoke .run() on it
+ * 'commands.<command-name>' as the command class and invoke .run() on it in a new async context
  */
 class Console extends App {
     /**
@@ -45,7 +45,11 @@ class Console extends App {
         if (!this.has(name))
             return this.exit(this.constructor.fatalExitCode, 'Unknown command');
 
-        let result = this.get(name).run(this.argv);
+        let command = await this.getAsync(name);
+        let context = this.has('context') ? this.get('context') : null;
+        let result = context
+            ? context.run({ command: this.argv[0] || 'help' }, () => command.run(this.argv))
+            : command.run(this.argv);
         if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
             throw new Error(`Command '${this.argv[0]}' run() did not return a Promise`);
 
@@ -4,7 +4,6 @@
  */
 const fs = require('fs-ext');
 const path = require('path');
-const merge = require('merge');
 const stripAnsi = require('strip-ansi');
 const App = require('../app/base');
 const Runner = require('../services/runner');
@@ -21,6 +20,7 @@ class Daemon {
      * @param {object} [options]                        Options
      * @param {number} [options.restartPause=1000]      Pause between restarting crashed app, ms
      * @param {number} [options.maxBufferLength=10000]  Lines of buffer of crashed app output
+     * @param {string} [options.env]                    Environment (profile), NODE_ENV by default
      */
     constructor(basepath, pidFile, options = {}) {
         this._basepath = basepath;
@@ -30,22 +30,16 @@ class Daemon {
         this._log = null;
         this._runner = null;
         this._emailer = null;
+        this._proc = null;
         this._restartPause = options.restartPause || 1000;
         this._maxBufferLength = options.maxBufferLength || 10000;
 
         try {
-            let globalConf = require(path.join(basepath, 'config', 'global.js'));
-            let localConf = {};
-            try {
-                localConf = require(path.join('basepath', 'config', 'local.js'));
-            } catch (error) {
-                // do nothing
-            }
-            this._config = merge.recursive(true, globalConf, localConf);
+            this._config = App.loadConfig(basepath, { env: options.env || process.env.NODE_ENV });
 
             for (let logName of Object.keys(this._config.logs || {})) {
                 let logInfo = this._config.logs[logName];
-                if (!logInfo.default || !logInfo.path || !logInfo.name)
+                if (!logInfo.default || (logInfo.type && logInfo.type !== 'file') || !logInfo.path || !logInfo.name)
                     continue;
                 this._log = path.join(logInfo.path, logInfo.name);
                 break;
@@ -73,6 +67,26 @@ class Daemon {
         }
     }
 
+    /**
+     * Environment of the daemon and the servers: fixed locale and PATH plus NODE_ENV and the configuration
+     * overrides (App.envPrefix variables) of the given environment
+     * @param {object} [env]                                Environment to take the variables from
+     * @return {object}
+     */
+    static getEnvironment(env = process.env) {
+        let result = {
+            'LANGUAGE': 'C.UTF-8',
+            'LANG': 'C.UTF-8',
+            'LC_ALL': 'C.UTF-8',
+            'PATH': '/bin:/sbin:/usr/bin:/usr/sbin:/usr/local/bin:/usr/local/sbin',
+        };
+        for (let name of Object.keys(env)) {
+            if (name === 'NODE_ENV' || name.startsWith(App.envPrefix))
+                result[name] = env[name];
+        }
+        return result;
+    }
+
     /**
      * Runner service getter
      * @type {Runner}
@@ -88,8 +102,12 @@ class Daemon {
      * @type {Emailer}
      */
     get emailer() {
-        if (!this._emailer)
-            this._emailer = new Emailer(this._config);
+        if (!this._emailer) {
+            this._emailer = new Emailer(Object.assign({}, this._config, {
+                base_path: this._basepath,
+                get: this.getConfig.bind(this),
+            }));
+        }
         return this._emailer;
     }
 
@@ -134,6 +152,12 @@ class Daemon {
         }
 
         process.on('SIGTERM', this._exit.bind(this));
+        for (let signal of [ 'SIGHUP', 'SIGUSR2' ]) {
+            process.on(signal, () => {
+                if (this._proc)
+                    this._proc.kill(signal);
+            });
+        }
 
         let pidBuffer = Buffer.from(process.pid.toString() + '\n');
         fs.ftruncateSync(this._pidFd);
@@ -155,7 +179,7 @@ class Daemon {
             run = path.join(__dirname, '..', '..', 'bin', 'run');
         }
 
-        let proc = this.runner.spawn('node', [ run, ...servers ]);
+        let proc = this._proc = this.runner.spawn('node', [ run, ...servers ], { env: this.constructor.getEnvironment() });
 
         let buffer = '';
         proc.cmd.on('data', data => {
@@ -194,11 +218,13 @@ class Daemon {
                 return this._exit(App.fatalExitCode);
 
             if (this.getConfig('email.crash.enable')) {
-                await this.emailer.send({
-                    from: this.getConfig('email.from'),
+                await this.emailer.sendTemplate('crash', {
                     to: this.getConfig('email.crash.to'),
-                    subject: `Exit code ${result.code} of ${this.name}`,
-                    text: stripAnsi(buffer),
+                    vars: {
+                        name: this.name,
+                        code: result.code,
+                        output: stripAnsi(buffer),
+                    },
                 });
             }
 
@@ -218,11 +244,12 @@ class Daemon {
             }
 
             if (this.getConfig('email.crash.enable')) {
-                await this.emailer.send({
-                    from: this.getConfig('email.from'),
+                await this.emailer.sendTemplate('launch-failure', {
                     to: this.getConfig('email.crash.to'),
-                    subject: `Failed to start ${this.name}`,
-                    text: error.stack || error.message || error,
+                    vars: {
+                        name: this.name,
+                        error: error.stack || error.message || error,
+                    },
                 });
             }
 
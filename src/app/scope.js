@@ -0,0 +1,140 @@
+/**
+ * Scope of the container
+ * @module arpen/app/scope
+ */
+const debug = require('debug')('arpen:app');
+
+/**
+ * Child container
+ * <br><br>
+ * Services with 'scoped' lifecycle are instantiated once per scope and disposed when the scope ends. Everything else
+ * is resolved by the app, so singletons are shared with the parent container. The scope itself is available to its
+ * services as 'scope' service.
+ */
+class Scope {
+    /**
+     * Create the scope
+     * @param {App} app                     The application
+     */
+    constructor(app) {
+        this._app = app;
+        this._instances = new Map();
+        this._created = [];
+        this._pending = new Map();
+
+        this.registerInstance(this, 'scope');
+    }
+
+    /**
+     * The application
+     * @type {App}
+     */
+    get app() {
+        return this._app;
+    }
+
+    /**
+     * Register an instance of a service in this scope only
+     * @param {*} instance                  Instance
+     * @param {string} name                 Name
+     * @return {string}                     Returns name of the service
+     */
+    registerInstance(instance, name) {
+        if (!name)
+            throw new Error('No name provided for an instance');
+
+        debug(`Registering scoped instance '${name}'`);
+        this._instances.set(name, instance);
+        return name;
+    }
+
+    /**
+     * Check if service is registered
+     * @param {string} name                 Service name
+     * @return {boolean}
+     */
+    has(name) {
+        if (!name)
+            throw new Error('No service name provided');
+
+        return this._instances.has(name) || this._app.has(name);
+    }
+
+    /**
+     * Get instance of a service
+     * @param {string|RegExp} name          Service name or RegExp of names
+     * @param {...*} extra                  Optional extra arguments to the constructor
+     * @return {object|Map}                 Returns instance or Map of instances in case of RegExp
+     */
+    get(name, ...extra) {
+        if (!name)
+            throw new Error('No service name provided');
+
+        debug(`Retrieving scoped service '${name}'`);
+        return this._app._get(name, extra, this);
+    }
+
+    /**
+     * Get instance of a service, awaiting asynchronous initialization of the service and its dependencies
+     * @param {string|RegExp} name          Service name or RegExp of names
+     * @param {...*} extra                  Optional extra arguments to the constructor
+     * @return {Promise}                    Resolves to instance or Map of instances in case of RegExp
+     */
+    async getAsync(name, ...extra) {
+        if (!name)
+            throw new Error('No service name provided');
+
+        debug(`Retrieving scoped service '${name}' asynchronously`);
+        return this._app._getAsync(name, extra, this);
+    }
+
+    /**
+     * Get instances of all the services with given tag
+     * @param {string} tag                  The tag
+     * @param {...*} extra                  Optional extra arguments to the constructor
+     * @return {Map}                        Returns Map of instances
+     */
+    getTagged(tag, ...extra) {
+        debug(`Retrieving scoped services tagged '${tag}'`);
+        return this._app._get(this._app.searchTagged(tag), extra, this);
+    }
+
+    /**
+     * Get instances of all the services with given tag awaiting their asynchronous initialization
+     * @param {string} tag                  The tag
+     * @param {...*} extra                  Optional extra arguments to the constructor
+     * @return {Promise}                    Resolves to Map of instances
+     */
+    async getTaggedAsync(tag, ...extra) {
+        debug(`Retrieving scoped services tagged '${tag}' asynchronously`);
+        return this._app._getAsync(this._app.searchTagged(tag), extra, this);
+    }
+
+    /**
+     * Search registered services
+     * @param {RegExp} re                   Service name RegExp
+     * @return {string[]}                   Returns array of matching service names
+     */
+    search(re) {
+        return this._app.search(re);
+    }
+
+    /**
+     * End the scope disposing its services in reverse order of their creation
+     * @return {Promise}
+     */
+    async dispose() {
+        let created = this._created.reverse();
+        this._created = [];
+
+        for (let { name, instance } of created) {
+            if (this._instances.get(name) === instance)
+                this._instances.delete(name);
+        }
+
+        debug('Disposing scope');
+        return this._app._disposeInstances(created);
+    }
+}
+
+module.exports = Scope;
@@ -34,7 +34,7 @@ class Server extends App {
                 throw new Error(`Server ${name} not found in config`);
 
             debug(`Creating server ${name} as '${params.class}'`);
-            let server = this.get(params.class);
+            let server = await this.getAsync(params.class);
             if (!server)
                 throw new Error(`Service ${params.class} not found when initializing server ${name}`);
             servers.set(name, server);
@@ -42,10 +42,22 @@ class Server extends App {
 
         let logger = this.get('logger');
         await new Promise(resolve => {
-            logger.info(`${config.name} v${config.version}`, resolve);
+            logger.info(`${config.name} v${config.version}` + (config.env ? ` (${config.env})` : ''), resolve);
         });
 
-        let modules = this.get('modules');
+        try {
+            await logger.loadLevels();
+            let rules = logger.getLevelRules();
+            if (rules.length) {
+                logger.warn(
+                    `Runtime log levels of ${logger.constructor.getLevelsFile(config)} are active: ` +
+                    rules.map(rule => `${rule.stream || '*'}/${rule.issuer || '*'} ${rule.level}`).join(', ')
+                );
+            }
+        } catch (error) {
+            logger.error('Could not load log levels: ' + error.message);
+        }
+
         return names.reduce(
             async (prev, name) => {
                 await prev;
@@ -59,20 +71,7 @@ class Server extends App {
                     throw new Error(`Server '${name}' init() did not return a Promise`);
                 await result;
 
-                return Array.from(modules).reduce(
-                    async (prev, [name, _module]) => {
-                        await prev;
-
-                        if (typeof _module.register !== 'function')
-                            return;
-
-                        let result = _module.register(server);
-                        if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
-                            throw new Error(`Module '${name}' register() did not return a Promise`);
-                        return result;
-                    },
-                    Promise.resolve()
-                );
+                return this._callModules('register', false, server, name);
             },
             Promise.resolve()
         );
@@ -86,6 +85,9 @@ class Server extends App {
     async start(...names) {
         await super.start(...names);
 
+        this._modulesStarted = true;
+        await this._callModules('start', false);
+
         let servers = this.get('servers');
         await names.reduce(
             async (prev, name) => {
@@ -112,7 +114,11 @@ class Server extends App {
             let gid = config.get('user.uid');
 
             for (let log of Object.keys(config.logs)) {
-                let filename = path.join(config.logs[log].path, config.logs[log].name);
+                let info = config.logs[log];
+                if ((info.type && info.type !== 'file') || !info.path || typeof info.name !== 'string')
+                    continue;
+
+                let filename = path.join(info.path, info.name);
                 try {
                     fs.chownSync(filename, uid, gid);
                 } catch (error) {
@@ -122,7 +128,7 @@ class Server extends App {
 
             try {
                 if (this._mapFile)
-                    fs.chownSync(path.join('/var/tmp', this._mapFile), uid, gid);
+                    fs.chownSync(this._mapFile, uid, gid);
             } catch (error) {
                 // do nothing
             }
@@ -133,16 +139,31 @@ class Server extends App {
         }
     }
 
+    /**
+     * Handle process signal: SIGHUP reloads the configuration
+     * @param {string} signal                           Signal as SIGNAME
+     * @return {Promise}
+     */
+    async onSignal(signal) {
+        if (signal !== 'SIGHUP')
+            return super.onSignal(signal);
+
+        try {
+            let diff = await this.reloadConfig();
+            await this.info(`Configuration reloaded (${diff.length ? diff.filter(key => !key.includes('.')).join(', ') : 'no changes'})`);
+        } catch (error) {
+            await this.error('Configuration reload failed: ' + (error.fullStack || error.stack || error.message || error));
+        }
+    }
+
     /**
      * Stop the app
      * @param {...*} names                               Server names
      * @return {Promise}
      */
     async stop(...names) {
-        await super.stop(...names);
-
         let servers = this.get('servers');
-        await names.reverse().reduce(
+        await names.slice().reverse().reduce(
             async (prev, name) => {
                 await prev;
 
@@ -163,6 +184,13 @@ class Server extends App {
             },
             Promise.resolve()
         );
+
+        if (this._modulesStarted) {
+            this._modulesStarted = false;
+            await this._callModules('stop', true);
+        }
+
+        await super.stop(...names);
     }
 
     /**
@@ -190,8 +218,11 @@ class Server extends App {
             });
         };
 
-        if (this.constructor.gracefulTimeout)
+        let deadline;
+        if (this.constructor.gracefulTimeout) {
+            deadline = Date.now() + this.constructor.gracefulTimeout;
             setTimeout(finish, this.constructor.gracefulTimeout);
+        }
 
         try {
             let args = this._startArgs || [];
@@ -200,6 +231,7 @@ class Server extends App {
             await this.error('Fatal: ' + (error.fullStack || error.stack || error.message || error));
         }
 
+        await this.dispose(deadline);
         await finish();
     }
 }
@@ -49,36 +49,9 @@ class Cacher {
         this._redis = redis;
         this._logger = logger;
         this._util = util;
+        this._subscribers = [];
 
-        this._clientPromise = new Promise(async (resolve, reject) => {
-            if (!this._config.get('cache.enable')) {
-                this._logger.info(`[Cache] Cache disabled`);
-                return resolve(null);
-            }
-
-            let subscribe = this._config.get('cache.subscribe');
-            if (subscribe) {
-                this._pubsub = this._app.get('pubsub');
-                for (let item of subscribe) {
-                    if (item.postgres) {
-                        let client = await this._pubsub.connect(`postgres.${item.postgres}`, 'InvalidateCache');
-                        await client.subscribe('invalidate_cache', this.onInvalidateMessage.bind(this));
-                    }
-                }
-            }
-
-            this._redis.connect(this._config.get('cache.redis'))
-                .then(
-                    client => {
-                        this._logger.info(`[Cache] Cache activated`);
-                        resolve(client);
-                    },
-                    error => {
-                        this._logger.error(`[Cache] Cache could not be activated: ${error.messages || error.message}`);
-                        resolve(null);
-                    }
-                );
-        });
+        this._clientPromise = this._connect();
     }
 
     /**
@@ -186,6 +159,35 @@ class Cacher {
         }
     }
 
+    /**
+     * Disconnect from Redis and the invalidation channels
+     * @return {Promise}
+     */
+    async dispose() {
+        for (let subscriber of this._subscribers)
+            subscriber.done();
+        this._subscribers = [];
+
+        let client = await this._clientPromise;
+        this._clientPromise = Promise.resolve(null);
+        if (client)
+            client.done();
+    }
+
+    /**
+     * Reconnect when cache or its Redis server configuration has changed
+     * @param {string[]} diff                   Changed configuration keys
+     * @return {Promise}
+     */
+    async onConfigChange(diff) {
+        if (!diff.includes('cache') && !diff.includes(`redis.${this._config.get('cache.redis')}`))
+            return;
+
+        debug('Reconnecting');
+        await this.dispose();
+        this._clientPromise = this._connect();
+    }
+
     /**
      * PUBSUB message handler
      * @param {*} message                       Body of the message
@@ -202,6 +204,43 @@ class Cacher {
         }
     }
 
+    /**
+     * Subscribe to the invalidation channels and connect to Redis
+     * @return {Promise}                            Resolves to Redis client or null if cache is disabled
+     */
+    _connect() {
+        return new Promise(async (resolve, reject) => {
+            if (!this._config.get('cache.enable')) {
+                this._logger.info(`[Cache] Cache disabled`);
+                return resolve(null);
+            }
+
+            let subscribe = this._config.get('cache.subscribe');
+            if (subscribe) {
+                this._pubsub = this._app.get('pubsub');
+                for (let item of subscribe) {
+                    if (item.postgres) {
+                        let client = await this._pubsub.connect(`postgres.${item.postgres}`, 'InvalidateCache');
+                        this._subscribers.push(client);
+                        await client.subscribe('invalidate_cache', this.onInvalidateMessage.bind(this));
+                    }
+                }
+            }
+
+            this._redis.connect(this._config.get('cache.redis'))
+                .then(
+                    client => {
+                        this._logger.info(`[Cache] Cache activated`);
+                        resolve(client);
+                    },
+                    error => {
+                        this._logger.error(`[Cache] Cache could not be activated: ${error.messages || error.message}`);
+                        resolve(null);
+                    }
+                );
+        });
+    }
+
     /**
      * Convert variable name to Redis key
      * @param {string} name                         Cache variable name
@@ -0,0 +1,184 @@
+/**
+ * Async context service
+ * @module arpen/services/context
+ */
+const crypto = require('crypto');
+const asyncHooks = require('async_hooks');
+
+/**
+ * Storage of the context for Node versions without AsyncLocalStorage (before 12.17), implemented with async hooks:
+ * every async resource gets the store of the execution context it was created in
+ * @private
+ */
+class HookStorage {
+    /**
+     * Create the storage
+     */
+    constructor() {
+        this._stores = new Map();
+        this._hook = asyncHooks.createHook({
+            init: asyncId => {
+                let store = this._stores.get(asyncHooks.executionAsyncId());
+                if (store)
+                    this._stores.set(asyncId, store);
+            },
+            destroy: asyncId => {
+                this._stores.delete(asyncId);
+            },
+        });
+        this._hook.enable();
+    }
+
+    /**
+     * Run the function with the store
+     * @param {object} store                The store
+     * @param {function} func               The function
+     * @return {*}                          Returns the result of the function
+     */
+    run(store, func) {
+        let id = asyncHooks.executionAsyncId();
+        let previous = this._stores.get(id);
+        this._stores.set(id, store);
+        try {
+            return func();
+        } finally {
+            if (previous)
+                this._stores.set(id, previous);
+            else
+                this._stores.delete(id);
+        }
+    }
+
+    /**
+     * Get the current store
+     * @return {object|undefined}
+     */
+    getStore() {
+        return this._stores.get(asyncHooks.executionAsyncId());
+    }
+}
+
+/**
+ * Async context
+ * <br><br>
+ * Keeps fields (correlationId and anything else) for the duration of an asynchronous operation, like handling of
+ * a request, with AsyncLocalStorage. The logger adds the fields of the current context to every line. On Node
+ * versions without AsyncLocalStorage the context is tracked with async hooks, which is slower.
+ */
+class Context {
+    /**
+     * Create the service
+     */
+    constructor() {
+        if (asyncHooks.AsyncLocalStorage)
+            this._storage = new asyncHooks.AsyncLocalStorage();
+        else if (asyncHooks.createHook)
+            this._storage = new HookStorage();
+        else
+            this._storage = null;
+    }
+
+    /**
+     * Service name is 'context'
+     * @type {string}
+     */
+    static get provides() {
+        return 'context';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [];
+    }
+
+    /**
+     * This service is a singleton
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Context is supported by this version of Node
+     * @type {boolean}
+     */
+    static get supported() {
+        return !!(asyncHooks.AsyncLocalStorage || asyncHooks.createHook);
+    }
+
+    /**
+     * Generate correlation ID
+     * @return {string}
+     */
+    static generateId() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    /**
+     * Correlation ID of the current context
+     * @type {string|undefined}
+     */
+    get id() {
+        return this.get('correlationId');
+    }
+
+    /**
+     * Run the function in a new context. The context inherits the fields of the current one, correlationId is
+     * generated unless it is inherited or given in the fields.
+     * @param {object} fields               Fields of the context
+     * @param {function} func               The function
+     * @return {*}                          Returns the result of the function
+     */
+    run(fields, func) {
+        if (!this._storage)
+            return func();
+
+        let store = Object.assign({}, this._storage.getStore(), fields);
+        if (!store.correlationId)
+            store.correlationId = this.constructor.generateId();
+        return this._storage.run(store, func);
+    }
+
+    /**
+     * Wrap an event handler so that every call runs in a new context, e.g.
+     * server.on('message', context.wrap(this.onMessage.bind(this), (data, info) => ({ client: info.address })))
+     * @param {function} handler            The handler
+     * @param {function} [getFields]        Gets fields of the context from the arguments of the handler
+     * @return {function}
+     */
+    wrap(handler, getFields) {
+        return (...args) => this.run(getFields ? getFields(...args) : {}, () => handler(...args));
+    }
+
+    /**
+     * Get field of the current context
+     * @param {string} [key]                Field name, all the fields are returned if omitted
+     * @return {*}
+     */
+    get(key) {
+        let store = this._storage && this._storage.getStore();
+        if (!store)
+            return key ? undefined : {};
+        return key ? store[key] : Object.assign({}, store);
+    }
+
+    /**
+     * Set field of the current context, does nothing outside of a context
+     * @param {string} key                  Field name
+     * @param {*} value                     Field value
+     * @return {boolean}                    Returns true if there is a current context
+     */
+    set(key, value) {
+        let store = this._storage && this._storage.getStore();
+        if (!store)
+            return false;
+
+        store[key] = value;
+        return true;
+    }
+}
+
+module.exports = Context;
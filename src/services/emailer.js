@@ -9,7 +9,9 @@ try {
     // do nothing
 }
 
+const path = require('path');
 const NError = require('nerror');
+const Filer = require('./filer');
 
 /**
  * Emailer
@@ -42,6 +44,12 @@ const NError = require('nerror');
  *   },
  * }
  * </pre>
+ * Templates are looked up in templates/email directory of the app, then of the modules and then of arpen itself, so
+ * the app can override the built-in templates (crash, launch-failure, log-message, log-digest). Template consists of
+ * <name>.txt and/or <name>.html files, localized variants are named <name>.<locale>.txt (e.g. welcome.de.txt). The
+ * first line of the template may be "Subject: ..." followed by an empty line. The result is inserted into layout
+ * template as content variable. Variables are inserted with {{ name }} (HTML-escaped in .html) or {{{ name }}} (as
+ * is), dotted names are supported.
  */
 class Emailer {
     /**
@@ -71,6 +79,14 @@ class Emailer {
         return [ 'config' ];
     }
 
+    /**
+     * Directory of built-in templates
+     * @type {string}
+     */
+    static get templatesDir() {
+        return path.join(__dirname, '..', '..', 'templates', 'email');
+    }
+
     /**
      * Send email
      * @param {object} params                   Parameters
@@ -113,6 +129,144 @@ class Emailer {
             });
     }
 
+    /**
+     * Render template and send it
+     * @param {string} name                     Template name
+     * @param {object} params                   Parameters of .send() without text and html
+     * @param {object} [params.vars]            Template variables
+     * @param {string} [params.locale]          Locale of the template
+     * @return {Promise}                        Resolves to the sent message details
+     */
+    async sendTemplate(name, params = {}) {
+        let { vars, locale } = params;
+        let email = Object.assign({ from: this._config.get('email.from') }, params);
+        delete email.vars;
+        delete email.locale;
+
+        let rendered = await this.renderTemplate(name, vars, locale);
+        email.text = rendered.text;
+        email.html = rendered.html;
+        if (!email.subject)
+            email.subject = rendered.subject;
+
+        return this.send(email);
+    }
+
+    /**
+     * Render template
+     * @param {string} name                     Template name
+     * @param {object} [vars]                   Template variables
+     * @param {string} [locale]                 Locale of the template
+     * @return {Promise}                        Resolves to { subject, text, html }
+     */
+    async renderTemplate(name, vars = {}, locale) {
+        vars = Object.assign({ project: this._config.project, instance: this._config.instance }, vars);
+
+        let result = { subject: null, text: null, html: null };
+        for (let type of [ 'txt', 'html' ]) {
+            let template = await this._loadTemplate(name, type, locale);
+            if (template === null)
+                continue;
+
+            let match = /^Subject: ?(.*)\r?\n\r?\n/.exec(template);
+            if (match) {
+                template = template.slice(match[0].length);
+                if (!result.subject)
+                    result.subject = this._interpolate(match[1], vars, false);
+            }
+
+            let content = this._interpolate(template.replace(/\s+$/, ''), vars, type === 'html');
+            let layout = await this._loadTemplate('layout', type, locale);
+            if (layout !== null)
+                content = this._interpolate(layout, Object.assign({}, vars, { content: content }), type === 'html');
+            result[type === 'txt' ? 'text' : 'html'] = content;
+        }
+
+        if (result.text === null && result.html === null)
+            throw new Error(`Email template not found: ${name}`);
+
+        return result;
+    }
+
+    /**
+     * Directories of templates in the order of lookup
+     * @return {string[]}
+     */
+    _getTemplateDirs() {
+        let dirs = [];
+        if (this._config.base_path)
+            dirs.push(path.join(this._config.base_path, 'templates', 'email'));
+        if (this._config.modules instanceof Map) {
+            for (let module of this._config.modules.values()) {
+                if (module.base_path)
+                    dirs.push(path.join(module.base_path, 'templates', 'email'));
+            }
+        }
+        dirs.push(this.constructor.templatesDir);
+        return dirs;
+    }
+
+    /**
+     * Load template file
+     * @param {string} name                     Template name
+     * @param {string} type                     txt or html
+     * @param {string} [locale]                 Locale, e.g. 'en-US' tries en-US, then en, then no locale
+     * @return {Promise}                        Resolves to the template or null
+     */
+    async _loadTemplate(name, type, locale) {
+        let names = [];
+        if (locale) {
+            names.push(`${name}.${locale}.${type}`);
+            let language = locale.split(/[-_]/)[0];
+            if (language !== locale)
+                names.push(`${name}.${language}.${type}`);
+        }
+        names.push(`${name}.${type}`);
+
+        let filer = new Filer();
+        for (let dir of this._getTemplateDirs()) {
+            for (let filename of names) {
+                filename = path.join(dir, filename);
+                if (await filer.exists(filename))
+                    return filer.lockRead(filename);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replace variables in the template
+     * @param {string} template                 The template
+     * @param {object} vars                     Variables
+     * @param {boolean} escape                  Escape HTML in {{ name }}
+     * @return {string}
+     */
+    _interpolate(template, vars, escape) {
+        let lookup = name => {
+            let value = name.split('.').reduce((prev, cur) => {
+                if (prev === null || typeof prev === 'undefined')
+                    return prev;
+                return prev[cur];
+            }, vars);
+            return (value === null || typeof value === 'undefined') ? '' : String(value);
+        };
+
+        return template.replace(/{{{\s*([\w.]+)\s*}}}|{{\s*([\w.]+)\s*}}/g, (match, raw, escaped) => {
+            if (raw)
+                return lookup(raw);
+
+            let value = lookup(escaped);
+            if (!escape)
+                return value;
+            return value
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        });
+    }
+
     /**
      * Create connection instance
      * @param {string} server='main'    SMTP server name
@@ -2,9 +2,11 @@
  * Logger service
  * @module arpen/services/logger
  */
+const path = require('path');
 const util = require('util');
-const RotatingFileStream = require('rotating-file-stream');
 const stringify = require('json-stringify-safe');
+const Filer = require('./filer');
+const LogStreams = require('./logger/streams');
 
 /**
  * Logger service
@@ -15,8 +17,25 @@ const stringify = require('json-stringify-safe');
  * a function it is used as completion callback with the first argument being a flag indicating if the data was actually
  * written to the file.
  * <br><br>
- * Logs are always echoed to stdout/stderr if DEBUG environment variable is defined and are written to the file or
- * emailed if configured
+ * Logs are always echoed to stdout/stderr if DEBUG environment variable is defined and are written to the log streams
+ * or emailed if configured
+ * <br><br>
+ * Every entry of config.logs is a log stream with its own level and transport selected by type option: 'file'
+ * (default), 'stdout', 'syslog', 'tcp' or name of a custom service (see LogTransport). Messages go to all the streams
+ * marked as default unless a stream is selected with .setLogStream().
+ * <br><br>
+ * Messages of email.log.level are emailed to email.log.to when email.log.enable is set. With email.log.digest (seconds)
+ * the messages are collected for that time and identical ones are counted, then sent as one email. Number of emails
+ * is capped by email.log.max_per_hour.
+ * <br><br>
+ * Option issuers of a stream sets levels of the issuers of .debug() messages, e.g. { session: 'debug' }. The levels
+ * can be changed at runtime with .setLevel() or by the rules in the levels file (see .loadLevels()).
+ * <br><br>
+ * Log stream with format: 'json' option writes one JSON object per line with timestamp, level, issuer, message,
+ * stack and info (NError.info) fields and the fields of the context of the logger (see .child())
+ * <br><br>
+ * Inside of an async context (see Context service) text lines include its correlationId and JSON lines include all
+ * of its fields
  */
 class Logger {
     /**
@@ -34,38 +53,16 @@ class Logger {
         this._emailer = this._config.get('email.log.enable') ? this._app.get('emailer') : null;
 
         this._log = null;
+        this._context = {};
+        this._asyncContext = this._app.has('context') ? this._app.get('context') : null;
         if (!this._streams) {
-            this._streams = {
-                default: null,
-                logs: new Map(),
-                console: {},
-            };
-            this._app.registerInstance(this._streams, 'logger.streams');
-
-            for (let log of Object.keys(config.logs || {})) {
-                let info = Object.assign({}, config.logs[log]);
-
-                let filename = info.name;
-                delete info.name;
-
-                let level = info.level || 'info';
-                delete info.level;
-
-                let isDefault = info.default || false;
-                delete info.default;
-
-                for (let key of Object.keys(info)) {
-                    let value = info[key];
-                    delete info[key];
-                    info[this._util.snakeToCamel(key)] = value;
-                }
-
-                this.createLogStream(log, filename, level, isDefault, info);
-            }
+            this._app.registerClass(LogStreams);
+            this._streams = this._app.get('logger.streams');
+        }
+        if (this._streams.logger === null) {
+            this._streams.logger = this;
+            this.configure();
         }
-
-        if (this._streams.default)
-            this.setLogStream(this._streams.default);
     }
 
     /**
@@ -85,10 +82,48 @@ class Logger {
     }
 
     /**
-     * Max lines of log waiting to written to the file
+     * Max different messages in email digest
+     * @type {number}
+     */
+    static get maxDigestMessages() {
+        return 100;
+    }
+
+    /**
+     * Directory of log levels file
+     * @type {string}
+     */
+    static get levelsDir() {
+        return '/var/tmp';
+    }
+
+    /**
+     * Log levels from lowest
+     * @type {string[]}
      */
-    static get maxFileBufferLines() {
-        return 10000;
+    static get levels() {
+        return [ 'debug', 'warn', 'info', 'error' ];
+    }
+
+    /**
+     * Get file of runtime log level rules: config.log_levels_path or <project>.<instance>.log-levels.json in levelsDir
+     * @param {object} config       Config service
+     * @return {string}
+     */
+    static getLevelsFile(config) {
+        return config.log_levels_path ||
+            path.join(this.levelsDir, `${config.project}.${config.instance}.log-levels.json`);
+    }
+
+    /**
+     * Reopen the log streams when their configuration has changed
+     * @param {string[]} diff       Changed configuration keys
+     * @param {App} app             The application
+     * @return {Promise}
+     */
+    static async onConfigChange(diff, app) {
+        if (diff.includes('logs') && app.has('logger.streams'))
+            app.get('logger').configure();
     }
 
     /**
@@ -112,37 +147,95 @@ class Logger {
         return '[' + dateString + '] ' + string;
     }
 
+    /**
+     * Create or reopen the log streams described in config.logs and close the streams which are not there
+     */
+    configure() {
+        let logs = this._config.logs || {};
+        for (let [ name, log ] of this._streams.logs) {
+            if (logs[name])
+                continue;
+
+            this._streams.logs.delete(name);
+            if (this._streams.default === name)
+                this._streams.default = null;
+            if (log.transport)
+                log.transport.close();
+        }
+
+        for (let log of Object.keys(logs)) {
+            let info = Object.assign({}, logs[log]);
+
+            let filename = info.name;
+            delete info.name;
+
+            let level = info.level || 'info';
+            delete info.level;
+
+            let isDefault = info.default || false;
+            delete info.default;
+
+            let format = info.format || 'text';
+            delete info.format;
+
+            let type = info.type || 'file';
+            delete info.type;
+
+            for (let key of Object.keys(info)) {
+                let value = info[key];
+                delete info[key];
+                info[this._util.snakeToCamel(key)] = value;
+            }
+
+            this.createLogStream(log, filename, level, isDefault, info, format, type);
+        }
+    }
+
     /**
      * Create log stream
      * @param {string} name                 Stream name
-     * @param {string|function} filename    File name
+     * @param {string|function} filename    File name, if the transport uses files
      * @param {string} level                Log level: debug, warn, info, error
-     * @param {boolean} isDefault           This stream is the default one
-     * @param {object} options              Stream options
+     * @param {boolean} isDefault           This stream is a default one
+     * @param {object} options              Transport options
+     * @param {string} [format='text']      Format of the lines: text or json
+     * @param {string} [type='file']        Transport: file, stdout, syslog, tcp or custom service name
      */
-    createLogStream(name, filename, level, isDefault, options) {
+    createLogStream(name, filename, level, isDefault, options, format = 'text', type = 'file') {
         let log = this._streams.logs.get(name);
         if (log) {
-            if (options) {
-                log.options = options;
-                if (log.stream)
-                    log.stream.close();
-                log.stream = null;
+            log.level = level;
+            log.format = format;
+            log.isDefault = isDefault;
+            if (options || log.type !== type) {
+                log.type = type;
+                log.options = this._getTransportOptions(filename, options || log.options);
+                if (log.transport)
+                    log.transport.close();
+                log.transport = null;
             }
         } else {
             log = {
                 name: name,
-                filename: filename,
+                type: type,
                 level: level,
-                stream: null,
-                options: options,
-                open: false,
-                failed: false,
-                buffer: [],
+                format: format,
+                isDefault: isDefault,
+                options: this._getTransportOptions(filename, options),
+                transport: null,
             };
             this._streams.logs.set(name, log);
         }
 
+        log.issuers = Object.assign({}, log.options.issuers);
+        delete log.options.issuers;
+
+        if (!log.transport)
+            log.transport = this._createTransport(log);
+
+        if (!isDefault && this._streams.default === name)
+            this._streams.default = null;
+
         if (isDefault) {
             this._streams.default = name;
             if (this._app.options.interceptConsole) {
@@ -159,8 +252,6 @@ class Logger {
                 console.error = (...args) => { logger.error(...args); };
             }
         }
-
-        this._startLog(log);
     }
 
     /**
@@ -172,6 +263,115 @@ class Logger {
             this._log = name;
     }
 
+    /**
+     * Get effective level of a stream. Runtime rules take precedence over the config: rule for the stream and the
+     * issuer, rule for the issuer, rule for the stream, then issuers option and level of the stream.
+     * @param {string} name                 Stream name
+     * @param {string} [issuer]             Issuer
+     * @return {string|null}                Returns null if there is no such stream
+     */
+    getLevel(name, issuer) {
+        let log = this._streams.logs.get(name);
+        if (!log)
+            return null;
+
+        let rules = this._streams.rules || [];
+        let find = (stream, issuer) => rules.find(rule => rule.stream === stream && rule.issuer === issuer);
+        let rule = (issuer && (find(name, issuer) || find(undefined, issuer))) || find(name, undefined);
+        if (rule)
+            return rule.level;
+
+        if (issuer && log.issuers && log.issuers[issuer])
+            return log.issuers[issuer];
+        return log.level;
+    }
+
+    /**
+     * Set runtime level. The rules are kept when the streams are reconfigured.
+     * @param {string|null} level           Log level or null to remove the rule
+     * @param {object} [params]
+     * @param {string} [params.stream]      Stream name, all the streams by default
+     * @param {string} [params.issuer]      Issuer, all the messages by default
+     */
+    setLevel(level, { stream, issuer } = {}) {
+        if (level !== null && this.constructor.levels.indexOf(level) === -1)
+            throw new Error(`Invalid log level: ${level}`);
+
+        if (!this._streams.rules)
+            this._streams.rules = [];
+
+        let rules = this._streams.rules.filter(rule => rule.stream !== stream || rule.issuer !== issuer);
+        if (level !== null)
+            rules.push({ stream: stream, issuer: issuer, level: level });
+        this._streams.rules = rules;
+    }
+
+    /**
+     * Get runtime level rules
+     * @return {object[]}                   Returns array of { stream, issuer, level }, stream and issuer are
+     *                                      undefined when the rule applies to all of them
+     */
+    getLevelRules() {
+        return (this._streams.rules || []).map(rule => Object.assign({}, rule));
+    }
+
+    /**
+     * Replace runtime levels with the rules of the levels file. The file is a JSON array of rules like
+     * { "stream": "main", "issuer": "session", "level": "debug" } with optional stream and issuer. Missing file
+     * removes all the rules.
+     * @param {string} [filename]           The file, Logger.getLevelsFile() by default
+     * @return {Promise}                    Resolves to the number of rules
+     */
+    async loadLevels(filename) {
+        if (!filename)
+            filename = this.constructor.getLevelsFile(this._config);
+
+        let filer = new Filer();
+        let rules = [];
+        if (await filer.exists(filename)) {
+            rules = JSON.parse(await filer.lockRead(filename));
+            if (!Array.isArray(rules))
+                throw new Error(`Log levels file ${filename} must contain an array`);
+        }
+
+        this._streams.rules = [];
+        for (let rule of rules)
+            this.setLevel(rule.level, { stream: rule.stream, issuer: rule.issuer });
+        return this._streams.rules.length;
+    }
+
+    /**
+     * Write current runtime levels to the levels file
+     * @param {string} [filename]           The file, Logger.getLevelsFile() by default
+     * @return {Promise}
+     */
+    async saveLevels(filename) {
+        if (!filename)
+            filename = this.constructor.getLevelsFile(this._config);
+
+        let filer = new Filer();
+        let rules = this._streams.rules || [];
+        if (!rules.length) {
+            if (await filer.exists(filename))
+                await filer.remove(filename);
+            return;
+        }
+
+        await filer.lockWrite(filename, JSON.stringify(rules, undefined, 4) + '\n');
+    }
+
+    /**
+     * Create logger which adds the given fields to every JSON log line
+     * @param {object} context              The fields
+     * @return {Logger}                     Returns logger writing to the same streams
+     */
+    child(context) {
+        let logger = new this.constructor(this._app, this._config, this._util, this._streams);
+        logger._log = this._log;
+        logger._context = Object.assign({}, this._context, context);
+        return logger;
+    }
+
     /**
      * Log error
      * @param {...*} messages       Messages
@@ -242,23 +442,23 @@ class Logger {
      * @param {function|undefined} [cb]     File write callback: first parameter whether file was actually written
      */
     log(type, messages, issuer, logDate, cb) {
-        let levels = [ 'debug', 'warn', 'info', 'error' ];
+        let levels = this.constructor.levels;
         if (levels.indexOf(type) === -1) {
             if (cb)
                 cb(false);
             return;
         }
 
-        let logInfo;
-        let logName = this._log || this._streams.default;
-        if (logName)
-            logInfo = this._streams.logs.get(logName);
+        let targets = [];
+        for (let logInfo of this._getLogStreams()) {
+            let level = this.getLevel(logInfo.name, issuer);
+            if (levels.indexOf(level) !== -1 && levels.indexOf(type) >= levels.indexOf(level))
+                targets.push(logInfo);
+        }
 
-        let logToStdOut = !!process.env.DEBUG;
-        let logToFile = false;
+        let logToStdOut = !!process.env.DEBUG && !targets.some(logInfo => logInfo.type === 'stdout');
+        let logToFile = targets.length > 0;
         let logToMail = false;
-        if (logInfo)
-            logToFile = (levels.indexOf(logInfo.level) !== -1 && levels.indexOf(type) >= levels.indexOf(logInfo.level));
         if (this._emailer) {
             let mailLevel = this._config.get('email.log.level');
             logToMail = (levels.indexOf(mailLevel) !== -1 && levels.indexOf(type) >= levels.indexOf(mailLevel));
@@ -292,6 +492,11 @@ class Logger {
         if (issuer)
             logString = `<${issuer}> ` + logString;
 
+        let message = logString;
+        let correlationId = this._asyncContext && this._asyncContext.id;
+        if (correlationId)
+            logString = `[${correlationId}] ` + logString;
+
         if (logDate)
             logString = this.constructor.formatString(logString);
 
@@ -303,90 +508,244 @@ class Logger {
         }
 
         if (logToFile) {
-            if (logInfo.open) {
-                logInfo.stream.write(logString + '\n', () => {
-                    if (cb)
-                        cb(true);
-                });
-            } else {
-                logInfo.buffer.push({ log: logString, cb: cb });
-                while (logInfo.buffer.length > this.constructor.maxFileBufferLines) {
-                    let buf = logInfo.buffer.shift();
-                    if (buf.cb)
-                        buf.cb(false);
+            let json;
+            let pending = targets.length;
+            let written = false;
+            let done = result => {
+                written = written || result;
+                if (--pending === 0 && cb)
+                    cb(written);
+            };
+            for (let logInfo of targets) {
+                let line = logString;
+                if (logInfo.format === 'json') {
+                    if (!json)
+                        json = this._formatJson(type, messages, issuer);
+                    line = json;
                 }
-                this._startLog(logInfo);
+                logInfo.transport.write(type, line, done);
             }
         } else {
             if (cb)
                 cb(false);
         }
 
-        if (logToMail) {
-            this._emailer.send({
-                    to: this._config.get('email.logger.to'),
-                    from: this._config.get('email.from'),
-                    subject: `[${this._config.project}/${this._config.instance}] Message logged (${type})`,
-                    text: logString,
-                })
-                .catch(error => {
-                    process.stderr.write(this.constructor.formatString(`Could not email log message: ${error.messages || error.message}\n`));
-                });
+        if (logToMail)
+            this._mail(type, message, logString);
+    }
+
+    /**
+     * Email the collected messages and the number of suppressed ones when the app terminates
+     * @return {Promise}
+     */
+    async dispose() {
+        await this.flushMail(true);
+    }
+
+    /**
+     * Send the collected messages as one email now
+     * @param {boolean} [final=false]       On exit: ignore email.log.max_per_hour and report suppressed messages
+     * @return {Promise}
+     */
+    async flushMail(final = false) {
+        let mail = this._streams.mail;
+        if (!mail)
+            return;
+
+        if (mail.timer) {
+            clearTimeout(mail.timer);
+            mail.timer = null;
         }
+        if (!mail.queue.size) {
+            if (final && mail.suppressed)
+                return this._sendMail('log-digest', { count: mail.suppressed, text: '' }, 0, true);
+            return;
+        }
+
+        let count = 0;
+        let text = [];
+        for (let entry of mail.queue.values()) {
+            count += entry.count;
+            text.push((entry.count > 1 ? `(${entry.count} times, first at ${entry.time}) ` : '') + entry.text);
+        }
+        if (mail.dropped)
+            text.push(`${mail.dropped} more message(s) did not fit into this digest`);
+        count += mail.dropped;
+
+        mail.queue.clear();
+        mail.dropped = 0;
+
+        return this._sendMail('log-digest', { count: count, text: text.join('\n\n') }, count, final);
+    }
+
+    /**
+     * Email the message or add it to the digest (email.log.digest is the window in seconds)
+     * @param {string} type                 Type of the error message
+     * @param {string} message              The message without date, used to find duplicates
+     * @param {string} text                 The message as logged
+     */
+    _mail(type, message, text) {
+        let mail = this._streams.mail;
+        if (!mail) {
+            mail = this._streams.mail = {
+                queue: new Map(),
+                timer: null,
+                dropped: 0,
+                sent: [],
+                suppressed: 0,
+            };
+        }
+
+        let digest = this._config.get('email.log.digest');
+        if (!digest)
+            return this._sendMail('log-message', { type: type, text: text }, 1);
+
+        let key = `${type}:${message}`;
+        let entry = mail.queue.get(key);
+        if (entry)
+            entry.count++;
+        else if (mail.queue.size < this.constructor.maxDigestMessages)
+            mail.queue.set(key, { time: new Date().toISOString(), text: text, count: 1 });
+        else
+            mail.dropped++;
+
+        if (!mail.timer)
+            mail.timer = setTimeout(() => this.flushMail(), digest * 1000);
     }
 
     /**
-     * Start log stream
-     * @param {object} log
+     * Send email unless over the limit of email.log.max_per_hour emails
+     * @param {string} template             Email template: log-message or log-digest
+     * @param {object} vars                 Template variables, text is the messages
+     * @param {number} count                Number of messages in the email
+     * @param {boolean} [force=false]       Ignore the limit
+     * @return {Promise}
      */
-    _startLog(log) {
-        if (log.stream)
+    async _sendMail(template, vars, count, force = false) {
+        let mail = this._streams.mail;
+        let now = Date.now();
+        mail.sent = mail.sent.filter(time => time > now - 60 * 60 * 1000);
+
+        let limit = this._config.get('email.log.max_per_hour');
+        if (limit && !force && mail.sent.length >= limit) {
+            mail.suppressed += count;
             return;
+        }
 
-        let stream = RotatingFileStream(log.filename, log.options);
-        log.stream = stream;
-        log.stream.on('error', error => {
-            if (log.stream !== stream)
-                return;
-
-            log.stream = null;
-            log.open = false;
-            if (!log.failed) {
-                log.failed = true;
-                if (process.env.DEBUG)
-                    process.stderr.write(this.constructor.formatString(`Log error (${log.name}): ${error.message}\n`));
-            }
+        mail.sent.push(now);
+        if (mail.suppressed) {
+            let note = `${mail.suppressed} message(s) were not emailed because of the limit of emails per hour`;
+            vars.text = vars.text ? `${vars.text}\n\n${note}` : note;
+            mail.suppressed = 0;
+        }
+
+        return this._emailer.sendTemplate(template, {
+                to: this._config.get('email.log.to'),
+                vars: vars,
+            })
+            .catch(error => {
+                process.stderr.write(this.constructor.formatString(`Could not email log message: ${error.messages || error.message}\n`));
+            });
+    }
+
+    /**
+     * Format log line as JSON
+     * @param {string} type                 Type of the error message
+     * @param {Array} messages              Array of messages
+     * @param {string|undefined} issuer     Issuer if used
+     * @return {string}                     Returns JSON string
+     */
+    _formatJson(type, messages, issuer) {
+        let record = Object.assign({}, this._asyncContext && this._asyncContext.get(), this._context, {
+            timestamp: new Date().toISOString(),
+            level: type,
         });
-        log.stream.on('open', () => {
-            if (log.stream !== stream)
-                return;
-
-            if (log.buffer.length) {
-                let str = '';
-                let callbacks = [];
-                for (let buf of log.buffer) {
-                    str += buf.log + '\n';
-                    if (buf.cb)
-                        callbacks.push(buf.cb);
+        if (issuer)
+            record.issuer = issuer;
+
+        let parsed = [];
+        for (let msg of messages) {
+            if (msg !== null && typeof msg === 'object' && msg.stack) {
+                if (!record.stack) {
+                    record.stack = msg.fullStack || msg.stack;
+                    if (msg.info)
+                        record.info = msg.info;
                 }
-                log.stream.write(str, () => {
-                    for (let cb of callbacks) {
-                        if (cb)
-                            cb(true);
-                    }
-                });
-                log.buffer = [];
+                parsed.push(msg.messages || msg.message);
+            } else if (msg !== null && typeof msg === 'object') {
+                parsed.push(stringify(msg));
+            } else {
+                parsed.push(msg);
             }
-            log.open = true;
-            log.failed = false;
-        });
-        log.stream.on('close', () => {
-            if (log.stream !== stream)
-                return;
+        }
 
-            log.stream = null;
-            log.open = false;
-        });
+        record.message =
+            (parsed.length && /%[sdj]/.test(String(parsed[0])))
+                ? util.format(...parsed)
+                : parsed.join('\n');
+
+        return stringify(record);
+    }
+
+    /**
+     * Get log streams the messages of this logger go to
+     * @return {object[]}
+     */
+    _getLogStreams() {
+        if (this._log) {
+            let log = this._streams.logs.get(this._log);
+            return log ? [ log ] : [];
+        }
+
+        let result = [];
+        for (let log of this._streams.logs.values()) {
+            if (log.isDefault)
+                result.push(log);
+        }
+        return result;
+    }
+
+    /**
+     * Options of transport
+     * @param {string|function} filename    File name
+     * @param {object} options              Stream options
+     * @return {object}
+     */
+    _getTransportOptions(filename, options) {
+        let result = Object.assign({}, options);
+        if (filename)
+            result.filename = filename;
+        return result;
+    }
+
+    /**
+     * Built-in transports, used when the service is not registered in the application
+     * @type {object}
+     */
+    static get transports() {
+        return {
+            file: path.join(__dirname, 'logger', 'file.js'),
+            stdout: path.join(__dirname, 'logger', 'stdout.js'),
+            tcp: path.join(__dirname, 'logger', 'tcp.js'),
+            syslog: path.join(__dirname, 'logger', 'syslog.js'),
+        };
+    }
+
+    /**
+     * Create transport of log stream
+     * @param {object} log                  The stream
+     * @return {LogTransport}
+     */
+    _createTransport(log) {
+        let name = `logger.transports.${log.type}`;
+        if (!this._app.has(name)) {
+            let filename = this.constructor.transports[log.type];
+            if (filename)
+                this._app.registerClass(require(filename), filename);
+            else
+                name = log.type;
+        }
+        return this._app.get(name, log.name, log.options);
     }
 }
 
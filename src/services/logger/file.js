@@ -0,0 +1,143 @@
+/**
+ * File log transport
+ * @module arpen/services/logger/file
+ */
+const RotatingFileStream = require('rotating-file-stream');
+const LogTransport = require('./transport');
+
+/**
+ * Writes log to rotating file, this is the default type of config.logs entries. Options are those of
+ * rotating-file-stream plus the file name.
+ */
+class FileTransport extends LogTransport {
+    /**
+     * Create the transport
+     * @param {string} name                 Log stream name
+     * @param {object} options              Stream options
+     */
+    constructor(name, options) {
+        super(name, options);
+
+        this.filename = this.options.filename;
+        this.open = false;
+        this.failed = false;
+        this.buffer = [];
+        this._stream = null;
+        this._options = Object.assign({}, this.options);
+        delete this._options.filename;
+
+        if (!this.filename)
+            throw new Error(`Log '${name}' has no file name`);
+    }
+
+    /**
+     * Service name is 'logger.transports.file'
+     * @type {string}
+     */
+    static get provides() {
+        return 'logger.transports.file';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [];
+    }
+
+    /**
+     * Max lines of log waiting to written to the file
+     */
+    static get maxBufferLines() {
+        return 10000;
+    }
+
+    /**
+     * Write the line
+     * @param {string} level                Log level
+     * @param {string} line                 The line
+     * @param {function} [cb]               Called with the flag indicating if the line was actually written
+     */
+    write(level, line, cb) {
+        if (this.open) {
+            this._stream.write(line + '\n', () => {
+                if (cb)
+                    cb(true);
+            });
+            return;
+        }
+
+        this.buffer.push({ log: line, cb: cb });
+        while (this.buffer.length > this.constructor.maxBufferLines) {
+            let buf = this.buffer.shift();
+            if (buf.cb)
+                buf.cb(false);
+        }
+        this._start();
+    }
+
+    /**
+     * Close the transport
+     */
+    close() {
+        let stream = this._stream;
+        this._stream = null;
+        this.open = false;
+        if (stream)
+            stream.end();
+    }
+
+    /**
+     * Start log stream
+     */
+    _start() {
+        if (this._stream)
+            return;
+
+        let stream = RotatingFileStream(this.filename, this._options);
+        this._stream = stream;
+        stream.on('error', error => {
+            if (this._stream !== stream)
+                return;
+
+            this._stream = null;
+            this.open = false;
+            if (!this.failed) {
+                this.failed = true;
+                if (process.env.DEBUG)
+                    process.stderr.write(`Log error (${this.name}): ${error.message}\n`);
+            }
+        });
+        stream.on('open', () => {
+            if (this._stream !== stream)
+                return;
+
+            if (this.buffer.length) {
+                let str = '';
+                let callbacks = [];
+                for (let buf of this.buffer) {
+                    str += buf.log + '\n';
+                    if (buf.cb)
+                        callbacks.push(buf.cb);
+                }
+                stream.write(str, () => {
+                    for (let cb of callbacks)
+                        cb(true);
+                });
+                this.buffer = [];
+            }
+            this.open = true;
+            this.failed = false;
+        });
+        stream.on('close', () => {
+            if (this._stream !== stream)
+                return;
+
+            this._stream = null;
+            this.open = false;
+        });
+    }
+}
+
+module.exports = FileTransport;
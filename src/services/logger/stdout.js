@@ -0,0 +1,41 @@
+/**
+ * Stdout log transport
+ * @module arpen/services/logger/stdout
+ */
+const LogTransport = require('./transport');
+
+/**
+ * Writes log to the standard output, for example when running under systemd or in a container
+ */
+class StdoutTransport extends LogTransport {
+    /**
+     * Service name is 'logger.transports.stdout'
+     * @type {string}
+     */
+    static get provides() {
+        return 'logger.transports.stdout';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [];
+    }
+
+    /**
+     * Write the line
+     * @param {string} level                Log level
+     * @param {string} line                 The line
+     * @param {function} [cb]               Called with the flag indicating if the line was actually written
+     */
+    write(level, line, cb) {
+        process.stdout.write(line + '\n', () => {
+            if (cb)
+                cb(true);
+        });
+    }
+}
+
+module.exports = StdoutTransport;
@@ -0,0 +1,55 @@
+/**
+ * Log streams
+ * @module arpen/services/logger/streams
+ */
+
+/**
+ * State shared by all the loggers: the streams, the runtime level rules and the email digest. The logger which is
+ * created first configures the streams and is disposed with them.
+ */
+class LogStreams {
+    /**
+     * Create the service
+     */
+    constructor() {
+        this.default = null;
+        this.logs = new Map();
+        this.rules = [];
+        this.console = {};
+        this.logger = null;
+    }
+
+    /**
+     * Service name is 'logger.streams'
+     * @type {string}
+     */
+    static get provides() {
+        return 'logger.streams';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [];
+    }
+
+    /**
+     * This service is a singleton
+     */
+    static get lifecycle() {
+        return 'singleton';
+    }
+
+    /**
+     * Dispose the logger which owns the streams
+     * @return {Promise}
+     */
+    async dispose() {
+        if (this.logger)
+            await this.logger.dispose();
+    }
+}
+
+module.exports = LogStreams;
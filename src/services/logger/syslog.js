@@ -0,0 +1,161 @@
+/**
+ * Syslog log transport
+ * @module arpen/services/logger/syslog
+ */
+const os = require('os');
+const net = require('net');
+const dgram = require('dgram');
+const TcpTransport = require('./tcp');
+
+/**
+ * Sends RFC 5424 messages to syslog
+ * <br><br>
+ * Options:
+ * <pre>
+ * {
+ *   host: 'localhost',                // syslog server
+ *   port: 514,                        // syslog port
+ *   protocol: 'udp',                  // or 'tcp'
+ *   socket: '/var/run/syslog.sock',   // stream Unix socket instead of host and port
+ *   facility: 'local0',               // facility name or number, default is 'user'
+ *   app_name: 'project',              // APP-NAME of the messages, default is config.project
+ * }
+ * </pre>
+ * Messages sent over TCP or Unix socket are framed with octet counting (RFC 6587). Only stream Unix sockets are
+ * supported, Node.js can not send to datagram ones like /dev/log.
+ */
+class SyslogTransport extends TcpTransport {
+    /**
+     * Create the transport
+     * @param {object} config               Config service
+     * @param {string} name                 Log stream name
+     * @param {object} options              Stream options
+     */
+    constructor(config, name, options) {
+        options = Object.assign({ port: 514 }, options);
+        super(name, options);
+
+        this._config = config;
+        this._udp = null;
+
+        let facility = this.options.facility || 'user';
+        this.facility = (typeof facility === 'number') ? facility : this.constructor.facilities.indexOf(facility);
+        if (this.facility < 0 || this.facility >= this.constructor.facilities.length)
+            throw new Error(`Log '${name}' has invalid syslog facility: ${facility}`);
+
+        this.appName = this.options.app_name || this._config.project || '-';
+        this.hostname = os.hostname() || '-';
+    }
+
+    /**
+     * Service name is 'logger.transports.syslog'
+     * @type {string}
+     */
+    static get provides() {
+        return 'logger.transports.syslog';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [ 'config' ];
+    }
+
+    /**
+     * Syslog facility names, index is the code
+     * @type {string[]}
+     */
+    static get facilities() {
+        return [
+            'kern', 'user', 'mail', 'daemon', 'auth', 'syslog', 'lpr', 'news', 'uucp', 'cron', 'authpriv', 'ftp',
+            'ntp', 'security', 'console', 'solaris-cron', 'local0', 'local1', 'local2', 'local3', 'local4', 'local5',
+            'local6', 'local7',
+        ];
+    }
+
+    /**
+     * Syslog severity codes of log levels
+     * @type {object}
+     */
+    static get severities() {
+        return {
+            error: 3,
+            warn: 4,
+            info: 6,
+            debug: 7,
+        };
+    }
+
+    /**
+     * Write the line
+     * @param {string} level                Log level
+     * @param {string} line                 The line
+     * @param {function} [cb]               Called with the flag indicating if the line was actually written
+     */
+    write(level, line, cb) {
+        if (this.options.socket || this.options.protocol === 'tcp')
+            return super.write(level, line, cb);
+
+        if (this._closed) {
+            if (cb)
+                cb(false);
+            return;
+        }
+
+        let host = this.options.host || 'localhost';
+        if (!this._udp) {
+            this._udp = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+            this._udp.unref();
+            this._udp.on('error', error => {
+                if (process.env.DEBUG)
+                    process.stderr.write(`Log error (${this.name}): ${error.message}\n`);
+            });
+        }
+
+        this._udp.send(Buffer.from(this.format(level, line)), this.options.port, host, error => {
+            if (cb)
+                cb(!error);
+        });
+    }
+
+    /**
+     * Close the transport
+     */
+    close() {
+        super.close();
+        if (this._udp) {
+            this._udp.close();
+            this._udp = null;
+        }
+    }
+
+    /**
+     * Create syslog message
+     * @param {string} level                Log level
+     * @param {string} line                 The line
+     * @return {string}
+     */
+    format(level, line) {
+        let severity = this.constructor.severities[level];
+        if (typeof severity === 'undefined')
+            severity = 6;
+
+        return `<${this.facility * 8 + severity}>1 ${new Date().toISOString()} ${this.hostname} ${this.appName} ` +
+            `${process.pid} - - ${line}`;
+    }
+
+    /**
+     * Prepare the line for sending
+     * @param {string} level                Log level
+     * @param {string} line                 The line
+     * @return {string}
+     */
+    _frame(level, line) {
+        let message = this.format(level, line);
+        return `${Buffer.byteLength(message)} ${message}`;
+    }
+}
+
+module.exports = SyslogTransport;
@@ -0,0 +1,195 @@
+/**
+ * TCP log transport
+ * @module arpen/services/logger/tcp
+ */
+const net = require('net');
+const LogTransport = require('./transport');
+
+/**
+ * Sends log lines separated by new lines over TCP connection (host and port options) or Unix socket (socket option).
+ * Lines are buffered while not connected and connection is retried while there are lines to send.
+ */
+class TcpTransport extends LogTransport {
+    /**
+     * Create the transport
+     * @param {string} name                 Log stream name
+     * @param {object} options              Stream options
+     */
+    constructor(name, options) {
+        super(name, options);
+
+        if (!this.options.socket && !this.options.port)
+            throw new Error(`Log '${name}' requires port or socket option`);
+
+        this.connected = false;
+        this.failed = false;
+        this.buffer = [];
+        this._socket = null;
+        this._timer = null;
+        this._closed = false;
+    }
+
+    /**
+     * Service name is 'logger.transports.tcp'
+     * @type {string}
+     */
+    static get provides() {
+        return 'logger.transports.tcp';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [];
+    }
+
+    /**
+     * Max lines of log waiting to be sent
+     */
+    static get maxBufferLines() {
+        return 10000;
+    }
+
+    /**
+     * Pause before reconnecting, ms
+     */
+    static get reconnectPause() {
+        return 1000;
+    }
+
+    /**
+     * Write the line
+     * @param {string} level                Log level
+     * @param {string} line                 The line
+     * @param {function} [cb]               Called with the flag indicating if the line was actually written
+     */
+    write(level, line, cb) {
+        if (this._closed) {
+            if (cb)
+                cb(false);
+            return;
+        }
+
+        let data = this._frame(level, line);
+        if (this.connected) {
+            this._socket.write(data, () => {
+                if (cb)
+                    cb(true);
+            });
+            return;
+        }
+
+        this.buffer.push({ data: data, cb: cb });
+        while (this.buffer.length > this.constructor.maxBufferLines) {
+            let buf = this.buffer.shift();
+            if (buf.cb)
+                buf.cb(false);
+        }
+        this._connect();
+    }
+
+    /**
+     * Close the transport
+     */
+    close() {
+        this._closed = true;
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        let socket = this._socket;
+        this._socket = null;
+        this.connected = false;
+        if (socket)
+            socket.end();
+
+        let buffer = this.buffer;
+        this.buffer = [];
+        for (let buf of buffer) {
+            if (buf.cb)
+                buf.cb(false);
+        }
+    }
+
+    /**
+     * Prepare the line for sending
+     * @param {string} level                Log level
+     * @param {string} line                 The line
+     * @return {string}
+     */
+    _frame(level, line) {
+        return line + '\n';
+    }
+
+    /**
+     * Connect to the server
+     */
+    _connect() {
+        if (this._socket || this._timer || this._closed)
+            return;
+
+        let socket = this.options.socket
+            ? net.connect({ path: this.options.socket })
+            : net.connect({ host: this.options.host || 'localhost', port: this.options.port });
+        socket.unref();
+        this._socket = socket;
+
+        socket.on('connect', () => {
+            if (this._socket !== socket)
+                return;
+
+            this.connected = true;
+            this.failed = false;
+            if (this.buffer.length) {
+                let str = '';
+                let callbacks = [];
+                for (let buf of this.buffer) {
+                    str += buf.data;
+                    if (buf.cb)
+                        callbacks.push(buf.cb);
+                }
+                socket.write(str, () => {
+                    for (let cb of callbacks)
+                        cb(true);
+                });
+                this.buffer = [];
+            }
+        });
+        socket.on('error', error => {
+            if (this._socket !== socket || this.failed)
+                return;
+
+            if (error.code === 'EPROTOTYPE') { // datagram socket, reconnecting will not help
+                process.stderr.write(`Log error (${this.name}): ${this.options.socket} is not a stream socket\n`);
+                this.close();
+                return;
+            }
+
+            this.failed = true;
+            if (process.env.DEBUG)
+                process.stderr.write(`Log error (${this.name}): ${error.message}\n`);
+        });
+        socket.on('close', () => {
+            if (this._socket !== socket)
+                return;
+
+            this._socket = null;
+            this.connected = false;
+            if (this.buffer.length && !this._closed) {
+                this._timer = setTimeout(
+                    () => {
+                        this._timer = null;
+                        this._connect();
+                    },
+                    this.constructor.reconnectPause
+                );
+                this._timer.unref();
+            }
+        });
+    }
+}
+
+module.exports = TcpTransport;
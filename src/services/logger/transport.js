@@ -0,0 +1,41 @@
+/**
+ * Base class for log transports
+ * @module arpen/services/logger/transport
+ */
+
+/**
+ * Log transport
+ * <br><br>
+ * Transport receives already formatted lines of one log stream of config.logs. It is created by the logger service
+ * as 'logger.transports.<type>' service (or as service named by the type if there is no such service) with the name
+ * of the stream and its options appended to the dependencies of the class.
+ */
+class LogTransport {
+    /**
+     * Create the transport
+     * @param {string} name                 Log stream name
+     * @param {object} options              Stream options from config.logs, keys are camel cased
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.options = options || {};
+    }
+
+    /**
+     * Write the line
+     * @param {string} level                Log level: debug, info, warn, error
+     * @param {string} line                 The line without the trailing new line
+     * @param {function} [cb]               Called with the flag indicating if the line was actually written
+     */
+    write(level, line, cb) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Close the transport
+     */
+    close() {
+    }
+}
+
+module.exports = LogTransport;
@@ -325,7 +325,7 @@ class MySQL {
      * @type {string[]}
      */
     static get requires() {
-        return [ 'config', 'logger', 'runner', 'util' ];
+        return [ 'config', 'logger', 'runner!lazy', 'util' ];
     }
 
     /**
@@ -378,6 +378,36 @@ class MySQL {
         });
     }
 
+    /**
+     * Close the pools of the servers which configuration has changed, they will be created again on next connect
+     * @param {string[]} diff       Changed configuration keys
+     * @return {Promise}
+     */
+    async onConfigChange(diff) {
+        let pools = [];
+        for (let [ name, pool ] of this._pool) {
+            if (!diff.includes(`mysql.${name}`))
+                continue;
+
+            debug(`Rebuilding pool of ${name}`);
+            this._pool.delete(name);
+            pools.push(pool);
+        }
+        await this._endPools(pools);
+    }
+
+    /**
+     * Close all the pools
+     * @return {Promise}
+     */
+    async dispose() {
+        let pools = Array.from(this._pool.values());
+        this._pool.clear();
+
+        debug('Closing pools...');
+        await this._endPools(pools);
+    }
+
     /**
      * Execute SQL file
      * @param {string} filename
@@ -425,6 +455,23 @@ class MySQL {
         });
         return proc.promise;
     }
+
+    /**
+     * End the pools
+     * @param {Array} pools         The pools
+     * @return {Promise}
+     */
+    async _endPools(pools) {
+        await Promise.all(pools.map(pool => {
+            return new Promise(resolve => {
+                pool.end(error => {
+                    if (error)
+                        this._logger.warn(`MySQL error when closing the pool: ${error.message}`);
+                    resolve();
+                });
+            });
+        }));
+    }
 }
 
 module.exports = MySQL;
@@ -326,7 +326,7 @@ class Postgres {
      * @type {string[]}
      */
     static get requires() {
-        return [ 'config', 'logger', 'runner', 'util' ];
+        return [ 'config', 'logger', 'runner!lazy', 'util' ];
     }
 
     /**
@@ -379,6 +379,36 @@ class Postgres {
         });
     }
 
+    /**
+     * Close the pools of the servers which configuration has changed, they will be created again on next connect
+     * @param {string[]} diff       Changed configuration keys
+     * @return {Promise}
+     */
+    async onConfigChange(diff) {
+        let pools = [];
+        for (let [ name, pool ] of this._pool) {
+            if (!diff.includes(`postgres.${name}`))
+                continue;
+
+            debug(`Rebuilding pool of ${name}`);
+            this._pool.delete(name);
+            pools.push(pool);
+        }
+        await Promise.all(pools.map(pool => pool.end()));
+    }
+
+    /**
+     * Close all the pools
+     * @return {Promise}
+     */
+    async dispose() {
+        let pools = Array.from(this._pool.values());
+        this._pool.clear();
+
+        debug('Closing pools...');
+        await Promise.all(pools.map(pool => pool.end()));
+    }
+
     /**
      * Execute SQL file
      * @param {string} filename
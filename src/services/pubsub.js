@@ -69,9 +69,16 @@ class PubSub {
     /**
      * Create the service
      * @param {App} app                             The application
+     * @param {function} [redisPubSub]              RedisPubSub factory
+     * @param {function} [postgresPubSub]           PostgresPubSub factory
      */
-    constructor(app) {
+    constructor(app, redisPubSub, postgresPubSub) {
         this._app = app;
+        this._factories = new Map();
+        if (redisPubSub)
+            this._factories.set('redis', redisPubSub);
+        if (postgresPubSub)
+            this._factories.set('postgres', postgresPubSub);
         this._cache = new Map();
     }
 
@@ -88,7 +95,7 @@ class PubSub {
      * @type {string[]}
      */
     static get requires() {
-        return ['app'];
+        return [ 'app', 'redisPubSub*?', 'postgresPubSub*?' ];
     }
 
     /**
@@ -107,6 +114,16 @@ class PubSub {
         return PubSubClient;
     }
 
+    /**
+     * Terminate cached clients
+     * @return {Promise}
+     */
+    async dispose() {
+        for (let pubsub of this._cache.values())
+            pubsub.done();
+        this._cache.clear();
+    }
+
     /**
      * Get pubsub client
      * @param {string} [serverName='redis.main']    Server name as in config, default is 'redis.main'
@@ -119,7 +136,11 @@ class PubSub {
             return this._cache.get(cacheName);
 
         let [type, name] = serverName.split('.');
-        let pubsub = this._app.get(`${type}PubSub`, name, subscriberName);
+        let pubsub;
+        if (this._factories.has(type))
+            pubsub = this._factories.get(type)(name, subscriberName);
+        else
+            pubsub = this._app.get(`${type}PubSub`, name, subscriberName);
         if (cacheName)
             this._cache.set(cacheName, pubsub);
         return pubsub;
@@ -0,0 +1,178 @@
+/**
+ * Configuration schema service
+ * @module arpen/services/schema
+ */
+
+/**
+ * Configuration schema validator
+ * <br><br>
+ * Schema is a plain object describing a value:
+ * <pre>
+ * {
+ *   type: 'object',                   // string, number, integer, boolean, object, array, function, null, any
+ *                                     // or an array of these
+ *   required: true,                   // for object properties: must be present
+ *   default: {},                      // for object properties: value to use when missing
+ *   enum: [ 'a', 'b' ],               // allowed values
+ *   properties: {                     // for objects: schemas of known keys
+ *     key: { type: 'string' },
+ *   },
+ *   additionalProperties: false,      // for objects: schema of other keys, true to allow anything, false to
+ *                                     // reject unknown keys (default when properties are defined)
+ *   items: { type: 'string' },        // for arrays: schema of every item
+ * }
+ * </pre>
+ * For example, config/schema.js of the project:
+ * <pre>
+ * module.exports = {
+ *   type: 'object',
+ *   additionalProperties: true,
+ *   properties: {
+ *     postgres: {
+ *       type: 'object',
+ *       additionalProperties: {
+ *         type: 'object',
+ *         properties: {
+ *           host: { type: 'string', required: true },
+ *           port: { type: 'integer', default: 5432 },
+ *         },
+ *       },
+ *     },
+ *   },
+ * };
+ * </pre>
+ */
+class Schema {
+    /**
+     * Service name is 'schema'
+     * @type {string}
+     */
+    static get provides() {
+        return 'schema';
+    }
+
+    /**
+     * Dependencies as constructor arguments
+     * @type {string[]}
+     */
+    static get requires() {
+        return [];
+    }
+
+    /**
+     * Validate the value applying the defaults of the schema to it
+     * @param {object} schema               The schema
+     * @param {*} value                     The value, will be updated in place with the defaults
+     * @param {string} [path]               Key path of the value
+     * @return {string[]}                   Returns array of errors
+     */
+    validate(schema, value, path = '') {
+        let errors = [];
+        this._validate(schema || {}, value, path, errors);
+        return errors;
+    }
+
+    /**
+     * Get type of the value as in schema
+     * @param {*} value                     The value
+     * @return {string}
+     */
+    getType(value) {
+        if (value === null)
+            return 'null';
+        if (Array.isArray(value))
+            return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Validate the value
+     * @param {object} schema               The schema
+     * @param {*} value                     The value
+     * @param {string} path                 Key path of the value
+     * @param {string[]} errors             Found errors
+     */
+    _validate(schema, value, path, errors) {
+        let name = path || 'config';
+        let type = this.getType(value);
+
+        if (schema.type && schema.type !== 'any') {
+            let types = Array.isArray(schema.type) ? schema.type : [ schema.type ];
+            let matches = types.some(item => {
+                if (item === 'any')
+                    return true;
+                if (item === 'integer')
+                    return Number.isInteger(value);
+                return item === type;
+            });
+            if (!matches) {
+                errors.push(`${name}: expected ${types.join(' or ')}, got ${type}`);
+                return;
+            }
+        }
+
+        if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+            errors.push(`${name}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+            return;
+        }
+
+        if (type === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                this._validate(schema.items, item, `${name}.${index}`, errors);
+            });
+        }
+
+        if (type !== 'object' || (!schema.properties && typeof schema.additionalProperties === 'undefined'))
+            return;
+
+        let properties = schema.properties || {};
+        for (let key of Object.keys(properties)) {
+            let property = properties[key] || {};
+            let keyPath = path ? `${path}.${key}` : key;
+            if (typeof value[key] === 'undefined') {
+                if (typeof property.default !== 'undefined')
+                    value[key] = this._clone(property.default);
+                else if (property.required)
+                    errors.push(`${keyPath}: is required`);
+            }
+            if (typeof value[key] !== 'undefined')
+                this._validate(property, value[key], keyPath, errors);
+        }
+
+        let additional = schema.additionalProperties;
+        if (typeof additional === 'undefined')
+            additional = false;
+        if (additional === true)
+            return;
+
+        for (let key of Object.keys(value)) {
+            if (properties[key])
+                continue;
+
+            let keyPath = path ? `${path}.${key}` : key;
+            if (additional === false)
+                errors.push(`${keyPath}: unknown key`);
+            else
+                this._validate(additional, value[key], keyPath, errors);
+        }
+    }
+
+    /**
+     * Deep copy of the default value
+     * @param {*} value                     The value
+     * @return {*}
+     */
+    _clone(value) {
+        if (Array.isArray(value))
+            return value.map(item => this._clone(item));
+        if (value === null || typeof value !== 'object' || value instanceof RegExp)
+            return value;
+
+        let result = {};
+        for (let key of Object.keys(value))
+            result[key] = this._clone(value[key]);
+        return result;
+    }
+}
+
+module.exports = Schema;
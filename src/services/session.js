@@ -103,6 +103,20 @@ class Session {
         this.bridges.delete(name);
     }
 
+    /**
+     * Remove all the bridges saving pending sessions
+     * @return {Promise}
+     */
+    async dispose() {
+        await Array.from(this.bridges.keys()).reduce(
+            async (prev, cur) => {
+                await prev;
+                return this.removeBridge(cur);
+            },
+            Promise.resolve()
+        );
+    }
+
     /**
      * Create new session for a user
      * @param {string} name                     Bridge name